@@ -1,7 +1,11 @@
 #!/usr/bin/env node
 
+const childProcess = require('child_process');
+const crypto = require('crypto');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { performance } = require('perf_hooks');
 
 // Default ignore patterns when no .gitignore exists
 const DEFAULT_IGNORE_PATTERNS = [
@@ -18,34 +22,441 @@ const DEFAULT_IGNORE_PATTERNS = [
   '*.cache'
 ];
 
+// Supported output formats and the extension used for their default output file
+const FORMAT_EXTENSIONS = {
+  text: '.txt',
+  json: '.json',
+  yaml: '.yaml',
+  ndjson: '.ndjson',
+  html: '.html',
+  mermaid: '.mmd',
+  dot: '.dot'
+};
+
+const DEFAULT_OUTPUT_BASENAME = 'project-ascii-tree';
+
+// Sidecar file with per-path descriptions, looked up in each project root
+const DEFAULT_NOTES_FILE = '.treenotes';
+
+// Built-in connector styles. A connector is drawn as the branch/last character,
+// horizontal characters up to the indent width, then a space.
+const TREE_STYLES = {
+  ascii: { branch: '|', last: '`', horizontal: '-', vertical: '|' },
+  unicode: { branch: '├', last: '└', horizontal: '─', vertical: '│' },
+  rounded: { branch: '├', last: '╰', horizontal: '─', vertical: '│' },
+  heavy: { branch: '┣', last: '┗', horizontal: '━', vertical: '┃' },
+  double: { branch: '╠', last: '╚', horizontal: '═', vertical: '║' },
+  indent: { branch: ' ', last: ' ', horizontal: ' ', vertical: ' ' }
+};
+
+// Characters a custom style object has to define
+const STYLE_KEYS = ['branch', 'last', 'horizontal', 'vertical'];
+
+// Sort keys for entries within a directory. Size and mtime sort largest/newest first, like `ls -S` and `ls -t`.
+const SORT_MODES = ['name', 'natural', 'size', 'mtime', 'extension'];
+
+// Where directories go relative to files
+const DIRECTORY_GROUPING = ['first', 'last', 'mixed'];
+
+// Diagram kinds of --format mermaid
+const MERMAID_TYPES = ['graph', 'mindmap'];
+
+// Marker comments delimiting a tree block in a markdown file (--inject)
+const INJECT_MARKER_REGEX = /(<!--\s*ascii-tree:start\b([\s\S]*?)-->)([\s\S]*?)(<!--\s*ascii-tree:end\s*-->)/g;
+const INJECT_START_REGEX = /<!--\s*ascii-tree:start\b/g;
+
+// Options that apply to the whole run and cannot be overridden by a marker block
+const RUN_ONLY_OPTIONS = [
+  'outputName', 'outputPath', 'dryRun', 'check', 'inject', 'profile', 'watch', 'since', 'until', 'target', 'force',
+  'stdout', 'statsTiming', 'report', 'logLevel', 'logger'
+];
+
+// Log levels from quietest to chattiest: --quiet keeps warnings and errors, --verbose adds skipped directories
+const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'verbose', 'debug'];
+
+// Console-like sink for --stdout: the generated output goes to stdout, every message to stderr
+const STDERR_SINK = {
+  log: (...args) => console.error(...args),
+  output: (...args) => console.log(...args)
+};
+
+// Directory walkers: sync is the default, async (single pass, concurrent) is used by generateAsync() and
+// --walker async. The async one is slower on local disks, the event loop overhead outweighs the saved calls.
+const WALKERS = ['async', 'sync'];
+
+// Filesystem operations the async walker keeps in flight at once
+const DEFAULT_CONCURRENCY = 32;
+
+// Entries listed in the largest files and largest directories of --report
+const REPORT_TOP_ENTRIES = 10;
+
+// Quiet period after the last filesystem event before --watch regenerates
+const WATCH_DEBOUNCE_MS = 200;
+
+// Config files looked up in the project root, in order. package.json is read for an "asciiTree" key.
+const CONFIG_FILES = ['.asciitreerc.json', 'ascii-tree.config.js'];
+const PACKAGE_CONFIG_KEY = 'asciiTree';
+
+// Accepted config keys and their types. Arrays list the allowed values.
+// A limit is a whole number or Infinity (the default, no limit).
+const OPTION_TYPES = {
+  roots: 'string[]',
+  all: 'boolean',
+  exceptDirs: 'string[]',
+  exceptFiles: 'string[]',
+  outputName: 'string',
+  outputPath: 'string',
+  format: Object.keys(FORMAT_EXTENSIONS),
+  dryRun: 'boolean',
+  check: 'boolean',
+  inject: 'string?',
+  watch: 'boolean',
+  maxDepth: 'limit',
+  maxEntries: 'limit',
+  compact: 'boolean',
+  include: 'string[]',
+  exclude: 'string[]',
+  includePattern: 'regex',
+  excludePattern: 'regex',
+  minSize: 'size',
+  maxSize: 'size',
+  showSize: 'boolean',
+  showLines: 'boolean',
+  showMtime: 'boolean',
+  style: 'style',
+  indentWidth: 'integer',
+  dirSlash: 'boolean',
+  sort: SORT_MODES,
+  reverse: 'boolean',
+  groupDirs: DIRECTORY_GROUPING,
+  caseSensitive: 'boolean',
+  comparator: 'function',
+  followSymlinks: 'boolean',
+  links: 'boolean',
+  mermaidType: MERMAID_TYPES,
+  dirsOnly: 'boolean',
+  filesOnly: 'boolean',
+  prune: 'boolean',
+  summary: 'boolean',
+  report: 'boolean',
+  git: 'boolean',
+  gitStatusOnly: 'boolean',
+  notes: 'string?',
+  walker: WALKERS,
+  concurrency: 'integer',
+  statsTiming: 'boolean',
+  stdout: 'boolean',
+  logLevel: LOG_LEVELS,
+  logger: 'logger',
+  debug: 'boolean'
+};
+
+// Smallest accepted value of the integer options
+const INTEGER_MINIMUMS = {
+  indentWidth: 2,
+  concurrency: 1
+};
+
+// Code fence language per output format
+const FENCE_LANGUAGES = {
+  text: '',
+  json: 'json',
+  yaml: 'yaml',
+  ndjson: '',
+  html: 'html',
+  mermaid: 'mermaid',
+  dot: 'dot'
+};
+
+// Inline stylesheet and filter script of --format html, so the page works offline without other files
+const HTML_STYLE = `
+body { font: 14px/1.5 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; margin: 2em; color: #1f2328; background: #fff; }
+input { font: inherit; width: 100%; max-width: 32em; padding: .4em .6em; margin-bottom: 1em; box-sizing: border-box; }
+ul { list-style: none; margin: 0; padding-left: 1.5em; border-left: 1px solid #d0d7de; }
+ul.tree { padding-left: 0; border-left: none; }
+summary { cursor: pointer; font-weight: 600; }
+a { color: inherit; }
+.count, .meta, .more { color: #656d76; font-weight: normal; }
+.note { color: #1a7f37; }
+@media (prefers-color-scheme: dark) {
+  body { color: #e6edf3; background: #0d1117; }
+  ul { border-left-color: #30363d; }
+  .count, .meta, .more { color: #8d96a0; }
+  .note { color: #3fb950; }
+}`;
+
+const HTML_SCRIPT = `
+var input = document.getElementById('filter');
+function filterList(list, query) {
+  var anyVisible = false;
+  Array.prototype.forEach.call(list.children, function (item) {
+    var details = item.querySelector(':scope > details');
+    var childList = details && details.querySelector(':scope > ul');
+    var childVisible = childList ? filterList(childList, query) : false;
+    var visible = !query || item.getAttribute('data-path').indexOf(query) !== -1 || childVisible;
+    item.hidden = !visible;
+    if (details && query) details.open = childVisible;
+    anyVisible = anyVisible || visible;
+  });
+  return anyVisible;
+}
+input.addEventListener('input', function () {
+  filterList(document.querySelector('ul.tree'), input.value.trim().toLowerCase());
+});`;
+
 // Always ignore these (even if not in .gitignore)
 const ALWAYS_IGNORE = [
   '.git',
-  'project-ascii-tree.txt'
+  ...Object.values(FORMAT_EXTENSIONS).map(ext => DEFAULT_OUTPUT_BASENAME + ext)
 ];
 
 class AsciiTreeGenerator {
   constructor(options = {}) {
+    const format = options.format || 'text';
+    if (!FORMAT_EXTENSIONS[format]) {
+      throw new Error(`Unknown format "${format}". Use one of: ${Object.keys(FORMAT_EXTENSIONS).join(', ')}`);
+    }
+
     this.options = {
       all: false,
       exceptDirs: [],
       exceptFiles: [],
-      outputName: 'project-ascii-tree.txt',
+      outputName: DEFAULT_OUTPUT_BASENAME + FORMAT_EXTENSIONS[format],
       outputPath: '.',
+      format: 'text',
       dryRun: false,
+      check: false,
+      inject: null,
+      watch: false,
       maxDepth: Infinity,
+      maxEntries: Infinity,
+      compact: false,
+      include: [],
+      exclude: [],
       includePattern: null,
       excludePattern: null,
       minSize: 0,
       maxSize: Infinity,
+      showSize: false,
+      showLines: false,
+      showMtime: false,
+      style: 'unicode',
+      indentWidth: 4,
+      dirSlash: false,
+      sort: 'name',
+      reverse: false,
+      groupDirs: 'first',
+      caseSensitive: false,
+      comparator: null,
+      followSymlinks: false,
+      links: false,
+      mermaidType: 'graph',
+      dirsOnly: false,
+      filesOnly: false,
+      prune: false,
+      summary: false,
+      report: false,
+      git: false,
+      gitStatusOnly: false,
+      notes: DEFAULT_NOTES_FILE,
+      walker: 'sync',
+      concurrency: DEFAULT_CONCURRENCY,
+      statsTiming: false,
+      stdout: false,
+      logLevel: 'info',
+      logger: null,
       debug: false,
       ...options
     };
     
-    this.projectRoot = process.cwd();
-    this.gitignoreFiles = this.findAllGitignores();
+    if (!this.options.roots || this.options.roots.length === 0) {
+      this.options.roots = ['.'];
+    }
+    
+    if (!SORT_MODES.includes(this.options.sort)) {
+      throw new Error(`Unknown sort mode "${this.options.sort}". Use one of: ${SORT_MODES.join(', ')}`);
+    }
+    if (!MERMAID_TYPES.includes(this.options.mermaidType)) {
+      throw new Error(`Unknown mermaidType "${this.options.mermaidType}". Use one of: ${MERMAID_TYPES.join(', ')}`);
+    }
+    if (!DIRECTORY_GROUPING.includes(this.options.groupDirs)) {
+      throw new Error(`Unknown groupDirs value "${this.options.groupDirs}". Use one of: ${DIRECTORY_GROUPING.join(', ')}`);
+    }
+    if (this.options.comparator && typeof this.options.comparator !== 'function') {
+      throw new Error('comparator must be a function (a, b) => number');
+    }
+    if (this.options.dirsOnly && this.options.filesOnly) {
+      throw new Error('dirsOnly and filesOnly cannot be combined');
+    }
+    if (this.options.filesOnly && !['text', 'json', 'yaml', 'ndjson'].includes(this.options.format)) {
+      throw new Error('filesOnly lists paths and works with the text, json, yaml and ndjson formats');
+    }
+    if (this.options.gitStatusOnly) {
+      this.options.git = true;
+    }
+    if (this.options.git && this.options.all) {
+      throw new Error('--git lists what git tracks and cannot be combined with --all');
+    }
+    if (this.options.stdout && (this.options.check || this.options.dryRun)) {
+      throw new Error('--stdout cannot be combined with --check or --dry-run');
+    }
+    if (this.options.report) {
+      if (this.options.check || this.options.inject || this.options.watch) {
+        throw new Error('--report prints a report and cannot be combined with --check, --inject or --watch');
+      }
+      if (!['text', 'json'].includes(this.options.format)) {
+        throw new Error('--report supports --format text or json');
+      }
+      // The report counts every entry of the filtered tree, whatever the display options
+      Object.assign(this.options, { compact: false, maxEntries: Infinity, dirsOnly: false, filesOnly: false });
+    }
+    if (!LOG_LEVELS.includes(this.options.logLevel)) {
+      throw new Error(`Unknown logLevel "${this.options.logLevel}". Use one of: ${LOG_LEVELS.join(', ')}`);
+    }
+    
+    // --debug shows debug messages whatever the level
+    this.logger = createLogger(
+      this.options.debug ? 'debug' : this.options.logLevel,
+      this.options.logger || (this.options.stdout || this.options.report ? STDERR_SINK : console)
+    );
+    if (!(this.options.concurrency >= 1)) {
+      throw new Error('concurrency must be at least 1');
+    }
+    if (!WALKERS.includes(this.options.walker)) {
+      throw new Error(`Unknown walker "${this.options.walker}". Use one of: ${WALKERS.join(', ')}`);
+    }
+    
+    this.connectors = createConnectors(this.options.style, this.options.indentWidth);
+    this.limit = createLimiter(this.options.concurrency);
+    this.resetStats(this.options.walker);
+    // Roots are loaded on first use, constructing a generator does not touch the disk
+    this.projectRoot = null;
     this.includeRegex = this.createRegex(this.options.includePattern, 'include');
     this.excludeRegex = this.createRegex(this.options.excludePattern, 'exclude');
+    this.includeRules = compileFilterRules(this.options.include);
+    this.excludeRules = compileFilterRules(this.options.exclude);
+    this.filterStages = this.compileFilterStages();
+    this.matcherCache = new WeakMap();
+  }
+
+  // Point the generator at a project root and resolve that root's own .gitignore hierarchy.
+  // The async walker passes walkSubdirectories = false to pick up .gitignore files while it builds the tree.
+  loadRoot(root, walkSubdirectories = true) {
+    const projectRoot = path.resolve(root);
+    if (projectRoot === this.projectRoot && walkSubdirectories && !this.discoverIgnoreFiles) return;
+    
+    let stats;
+    try {
+      stats = fs.statSync(projectRoot);
+    } catch (err) {
+      throw new Error(`Root directory does not exist: ${root}`);
+    }
+    if (!stats.isDirectory()) {
+      throw new Error(`Root is not a directory: ${root}`);
+    }
+    
+    this.projectRoot = projectRoot;
+    this.gitEntries = this.options.git ? listGitEntries(projectRoot, this.options.gitStatusOnly) : null;
+    this.discoverIgnoreFiles = false;
+    
+    const start = performance.now();
+    this.gitignoreFiles = this.findAllGitignores(walkSubdirectories);
+    this.stats.discoverMs += performance.now() - start;
+    
+    this.notes = this.loadNotes();
+  }
+
+  // Read the notes file: one gitignore-style pattern per line followed by " # description".
+  // The default .treenotes is optional, an explicitly configured notes file must exist.
+  loadNotes() {
+    if (!this.options.notes) return [];
+    
+    const isDefault = this.options.notes === DEFAULT_NOTES_FILE;
+    const notesFile = isDefault ? path.join(this.projectRoot, DEFAULT_NOTES_FILE) : path.resolve(this.options.notes);
+    
+    let content;
+    try {
+      content = fs.readFileSync(notesFile, 'utf8');
+    } catch (err) {
+      if (isDefault && err.code === 'ENOENT') return [];
+      throw new Error(`Could not read notes file ${notesFile}: ${err.message}`);
+    }
+    
+    const notes = [];
+    content.split('\n').forEach((rawLine, index) => {
+      const line = rawLine.replace(/\r$/, '');
+      if (!line.trim() || line.trim().startsWith('#')) return;
+      
+      const match = /^(.*?\S)\s+#\s?(.*)$/.exec(line.trim());
+      const patternObj = match && parseGitignoreLine(match[1]);
+      if (!patternObj || patternObj.isNegation) {
+        this.logger.warn(`Warning: ${this.options.notes}:${index + 1}: expected "<pattern> # <description>"`);
+        return;
+      }
+      
+      notes.push({ ...patternObj, text: match[2].trim(), line: index + 1, matched: false });
+    });
+    
+    return notes;
+  }
+
+  // Description for a path, the last matching note wins (like .gitignore)
+  findNote(relativePath, isDirectory) {
+    let note = null;
+    
+    for (const candidate of this.notes) {
+      if (this.matchesPattern(candidate, relativePath, isDirectory)) {
+        candidate.matched = true;
+        note = candidate.text;
+      }
+    }
+    
+    return note;
+  }
+
+  // Forget which notes matched, so every build (e.g. each --watch regeneration) reports its own unmatched notes
+  resetNotes() {
+    this.notes.forEach(note => {
+      note.matched = false;
+    });
+  }
+
+  // Notes that matched nothing are probably stale. Notes for paths that exist but were filtered out of
+  // this tree (depth, size, patterns, git status) are not reported: the root is searched for them, without
+  // descending into ignored directories.
+  warnUnmatchedNotes() {
+    const remaining = new Set(this.notes.filter(note => !note.matched));
+    
+    const search = (dir, relativeDir) => {
+      let dirents;
+      try {
+        dirents = fs.readdirSync(dir, { withFileTypes: true });
+      } catch (err) {
+        return;
+      }
+      
+      for (const dirent of dirents) {
+        if (remaining.size === 0) return;
+        
+        const relativePath = relativeDir ? `${relativeDir}/${dirent.name}` : dirent.name;
+        const isDirectory = dirent.isDirectory();
+        remaining.forEach(note => {
+          if (this.matchesPattern(note, relativePath, isDirectory)) remaining.delete(note);
+        });
+        
+        if (isDirectory && !ALWAYS_IGNORE.includes(dirent.name) &&
+            !this.matchIgnoreGroups(this.getMatcher(relativeDir).groups, dirent.name, true)) {
+          search(path.join(dir, dirent.name), relativePath);
+        }
+      }
+    };
+    if (remaining.size > 0) {
+      search(this.projectRoot, '');
+    }
+    
+    remaining.forEach(note => {
+      this.logger.warn(`Warning: ${this.options.notes}:${note.line}: "${note.pattern}" matches no file in the tree`);
+    });
   }
 
   createRegex(pattern, type) {
@@ -55,139 +466,233 @@ class AsciiTreeGenerator {
       const regex = new RegExp(pattern);
       
       if (this.options.debug) {
-        console.log(`\n=== ${type.toUpperCase()} REGEX DEBUG ===`);
-        console.log(`Original pattern: "${pattern}"`);
-        console.log(`Regex source: ${regex.source}`);
-        console.log(`Sample tests:`);
-        
-        const testFiles = ['database.js', 'config.json', 'types.ts', 'style.css', 'README.md'];
-        testFiles.forEach(file => {
-          const result = regex.test(file);
-          console.log(`  ${file}: ${result ? '✓' : '✗'}`);
-        });
-        console.log('========================\n');
+        this.logger.debug(`\n=== ${type.toUpperCase()} REGEX DEBUG ===`);
+        this.logger.debug(`Original pattern: "${pattern}"`);
+        this.logger.debug(`Regex source: ${regex.source}`);
+        this.logger.debug('========================\n');
       }
       
       return regex;
     } catch (e) {
-      console.error(`Error creating ${type} regex from pattern "${pattern}": ${e.message}`);
+      this.logger.error(`Error creating ${type} regex from pattern "${pattern}": ${e.message}`);
       return null;
     }
   }
 
   // Recursively find all .gitignore files in the project
-  findAllGitignores() {
-    const gitignoreFiles = [];
-    
+  findAllGitignores(walkSubdirectories = true) {
     if (this.options.all) {
-      console.log('Using --all flag: including all files except system files');
+      this.logger.info('Using --all flag: including all files except system files');
       return this.createDefaultGitignoreStructure();
     }
+    
+    // git already decided what is ignored, only the built-in and command-line exceptions still apply
+    if (this.options.git) {
+      this.logger.info(`Using --git: listing ${this.options.gitStatusOnly ? 'changed' : 'tracked and untracked'} files reported by git`);
+      return [this.createPatternSource('built-in', ALWAYS_IGNORE), ...this.createExceptSources()];
+    }
 
-    this.findGitignoresRecursive(this.projectRoot, '', gitignoreFiles);
+    // Lowest precedence first: built-in patterns, then the user's global excludes,
+    // .git/info/exclude and .gitignore files above the project root
+    const externalIgnoreFiles = this.findExternalIgnoreFiles();
+    const gitignoreFiles = [
+      this.createPatternSource('built-in', ALWAYS_IGNORE),
+      ...externalIgnoreFiles
+    ];
     
-    if (gitignoreFiles.length === 0) {
-      console.log('No .gitignore files found, using default ignore patterns');
-      return this.createDefaultGitignoreStructure();
+    // With a .gitignore at or above the root the default patterns cannot apply, so the async walker can
+    // add the .gitignore files below the root as it reaches them. Otherwise every one of them has to be
+    // known first, because the defaults apply only when there is none at all.
+    const rootGitignore = walkSubdirectories ? null : this.readGitignoreSource(this.projectRoot, '');
+    if (rootGitignore || (!walkSubdirectories && externalIgnoreFiles.some(gi => gi.isGitignore))) {
+      this.discoverIgnoreFiles = true;
+      return [...gitignoreFiles, ...(rootGitignore ? [rootGitignore] : []), ...this.createExceptSources()];
     }
 
-    // Sort by specificity (root first, then more specific)
-    gitignoreFiles.sort((a, b) => a.relativePath.length - b.relativePath.length);
+    this.findGitignoresRecursive(this.projectRoot, '', gitignoreFiles, this.createAncestorSet(this.projectRoot));
     
-    const totalPatterns = gitignoreFiles.reduce((sum, gi) => sum + gi.patterns.length, 0);
-    console.log(`Found ${gitignoreFiles.length} .gitignore file(s) with ${totalPatterns} total patterns:`);
-    gitignoreFiles.forEach(gi => {
-      const location = gi.relativePath === '' ? 'root' : gi.relativePath;
-      console.log(`  - ${location}: ${gi.patterns.length} patterns`);
-    });
+    if (!gitignoreFiles.some(gi => gi.isGitignore)) {
+      this.logger.info('No .gitignore files found, using default ignore patterns');
+      return this.createDefaultGitignoreStructure(externalIgnoreFiles);
+    }
 
+    this.logIgnoreFiles(gitignoreFiles);
     return gitignoreFiles;
   }
 
-  createDefaultGitignoreStructure() {
-    const patterns = [...ALWAYS_IGNORE, ...DEFAULT_IGNORE_PATTERNS];
-    
-    // Add command-line exceptions
-    patterns.push(...this.options.exceptDirs);
-    patterns.push(...this.options.exceptFiles);
+  // Sort the ignore sources by specificity (root first, then more specific) and list the files found
+  logIgnoreFiles(gitignoreFiles) {
+    gitignoreFiles.sort((a, b) => a.relativePath.length - b.relativePath.length);
     
-    return [{
+    const ignoreFiles = gitignoreFiles.filter(gi => gi.file);
+    const totalPatterns = ignoreFiles.reduce((sum, gi) => sum + gi.patterns.length, 0);
+    this.logger.info(`Found ${ignoreFiles.length} ignore file(s) with ${totalPatterns} total patterns:`);
+    ignoreFiles.forEach(gi => {
+      const location = gi.source === '.gitignore' ? 'root' : gi.source;
+      this.logger.info(`  - ${location}: ${gi.patterns.length} patterns`);
+    });
+  }
+
+  createDefaultGitignoreStructure(externalIgnoreFiles = []) {
+    return [
+      this.createPatternSource('default patterns', [...ALWAYS_IGNORE, ...DEFAULT_IGNORE_PATTERNS]),
+      ...externalIgnoreFiles,
+      ...this.createExceptSources()
+    ];
+  }
+
+  // Wrap a list of pattern strings (built-in defaults, command-line exceptions) as an ignore source at the project root
+  createPatternSource(source, lines) {
+    return {
       absolutePath: this.projectRoot,
       relativePath: '',
-      patterns: patterns.map(pattern => ({
-        pattern: typeof pattern === 'string' ? pattern : pattern.pattern,
-        isNegation: typeof pattern === 'object' ? pattern.isNegation : false
-      }))
-    }];
+      basePath: '',
+      source,
+      file: null,
+      patterns: lines
+        .map(line => parseGitignoreLine(line))
+        .filter(Boolean)
+        .map(patternObj => ({ ...patternObj, source }))
+    };
+  }
+
+  // Command-line exceptions apply after the root .gitignore, so they override it
+  createExceptSources() {
+    const sources = [];
+    if (this.options.exceptDirs.length > 0) {
+      sources.push(this.createPatternSource('--except-dir', this.options.exceptDirs));
+    }
+    if (this.options.exceptFiles.length > 0) {
+      sources.push(this.createPatternSource('--except-file', this.options.exceptFiles));
+    }
+    return sources;
+  }
+
+  // Ignore files that live outside the project tree but still apply to it, like git does:
+  // core.excludesFile, .git/info/exclude and .gitignore files between the repository root and the project root
+  findExternalIgnoreFiles() {
+    const repository = findGitRepository(this.projectRoot);
+    if (!repository) return [];
+    
+    const ignoreFiles = [];
+    const addIgnoreFile = (filePath, baseDir, source, isGitignore = false) => {
+      const content = readIgnoreFile(filePath, this.logger);
+      if (content === null) return;
+      
+      const patterns = this.parseGitignoreContent(content, source);
+      if (patterns.length === 0) return;
+      
+      ignoreFiles.push({
+        absolutePath: baseDir,
+        relativePath: '',
+        basePath: toPosix(path.relative(baseDir, this.projectRoot)),
+        source,
+        file: filePath,
+        isGitignore,
+        patterns
+      });
+    };
+    
+    const excludesFile = findGlobalExcludesFile(this.projectRoot);
+    if (excludesFile) {
+      addIgnoreFile(excludesFile, repository.worktree, 'core.excludesFile');
+    }
+    addIgnoreFile(path.join(repository.gitDir, 'info', 'exclude'), repository.worktree, '.git/info/exclude');
+    
+    // .gitignore files in parent directories of the project root (when it is not the repository root)
+    const parentDirs = [];
+    for (let dir = path.dirname(this.projectRoot); ; dir = path.dirname(dir)) {
+      if (path.relative(repository.worktree, dir).startsWith('..')) break;
+      parentDirs.unshift(dir);
+      if (dir === repository.worktree || dir === path.dirname(dir)) break;
+    }
+    parentDirs.forEach(dir => {
+      const source = toPosix(path.join(path.relative(this.projectRoot, dir), '.gitignore'));
+      addIgnoreFile(path.join(dir, '.gitignore'), dir, source, true);
+    });
+    
+    return ignoreFiles;
+  }
+
+  // Ignore source for the .gitignore of a directory, or null when it has none or it is blank
+  createGitignoreSource(currentDir, relativePath, content) {
+    if (content.trim().length === 0) return null;
+    
+    const source = relativePath ? `${relativePath}/.gitignore` : '.gitignore';
+    return {
+      absolutePath: currentDir,
+      relativePath: relativePath,
+      basePath: '',
+      source,
+      file: path.join(currentDir, '.gitignore'),
+      isGitignore: true,
+      patterns: this.parseGitignoreContent(content, source)
+    };
+  }
+
+  readGitignoreSource(currentDir, relativePath) {
+    const gitignorePath = path.join(currentDir, '.gitignore');
+    try {
+      return this.createGitignoreSource(currentDir, relativePath, fs.readFileSync(gitignorePath, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this.logger.warn(`Warning: Could not read .gitignore at ${gitignorePath}: ${err.message}`);
+      }
+      return null;
+    }
   }
 
-  findGitignoresRecursive(currentDir, relativePath, gitignoreFiles) {
+  async readGitignoreSourceAsync(currentDir, relativePath) {
+    const gitignorePath = path.join(currentDir, '.gitignore');
+    try {
+      const content = await this.limit(() => fs.promises.readFile(gitignorePath, 'utf8'));
+      return this.createGitignoreSource(currentDir, relativePath, content);
+    } catch (err) {
+      this.logger.warn(`Warning: Could not read .gitignore at ${gitignorePath}: ${err.message}`);
+      return null;
+    }
+  }
+
+  findGitignoresRecursive(currentDir, relativePath, gitignoreFiles, ancestors = null) {
     try {
       const items = fs.readdirSync(currentDir);
+      this.stats.directoryReads++;
       
       // Check for .gitignore in current directory first
       if (items.includes('.gitignore')) {
-        const gitignorePath = path.join(currentDir, '.gitignore');
-        
-        try {
-          const content = fs.readFileSync(gitignorePath, 'utf8').trim();
-          if (content.length > 0) {
-            const patterns = this.parseGitignoreContent(content);
-            
-            // Add ALWAYS_IGNORE patterns to root .gitignore only
-            if (relativePath === '') {
-              const alwaysIgnorePatterns = ALWAYS_IGNORE.map(pattern => ({
-                pattern,
-                isNegation: false
-              }));
-              patterns.unshift(...alwaysIgnorePatterns);
-            }
-            
-            // Add command-line exceptions to root .gitignore only
-            if (relativePath === '') {
-              const exceptPatterns = [
-                ...this.options.exceptDirs,
-                ...this.options.exceptFiles
-              ].map(pattern => ({
-                pattern,
-                isNegation: false
-              }));
-              patterns.push(...exceptPatterns);
-            }
-            
-            gitignoreFiles.push({
-              absolutePath: currentDir,
-              relativePath: relativePath,
-              patterns: patterns
-            });
-          }
-        } catch (err) {
-          console.warn(`Warning: Could not read .gitignore at ${gitignorePath}: ${err.message}`);
+        const gitignore = this.readGitignoreSource(currentDir, relativePath);
+        if (gitignore) {
+          gitignoreFiles.push(gitignore);
         }
       }
       
+      // Add command-line exceptions right after the root .gitignore
+      if (relativePath === '') {
+        gitignoreFiles.push(...this.createExceptSources());
+      }
+      
       // Recursively search subdirectories that are not ignored
       for (const item of items) {
         const itemPath = path.join(currentDir, item);
-        const itemRelativePath = relativePath ? path.join(relativePath, item) : item;
+        const itemRelativePath = relativePath ? `${relativePath}/${item}` : item;
         
         try {
-          const stats = fs.statSync(itemPath);
-          if (stats.isDirectory()) {
+          const entry = this.statEntry(itemPath);
+          if (entry.isDirectory) {
             // Skip known system directories to avoid deep recursion
             if (ALWAYS_IGNORE.includes(item)) {
               continue;
             }
             
             // Check if this directory is ignored by .gitignore files we've found so far
-            if (this.isDirectoryIgnoredBySoFar(item, itemRelativePath, gitignoreFiles)) {
-              if (this.options.debug) {
-                console.log(`Skipping ignored directory: ${itemRelativePath}`);
-              }
+            if (this.matchIgnoreGroups(this.getMatcher(relativePath, gitignoreFiles).groups, item, true)) {
+              this.logger.verbose(`Skipping ignored directory: ${itemRelativePath}`);
               continue;
             }
             
-            this.findGitignoresRecursive(itemPath, itemRelativePath, gitignoreFiles);
+            this.walkDirectory(itemPath, ancestors, () => {
+              this.findGitignoresRecursive(itemPath, itemRelativePath, gitignoreFiles, ancestors);
+            });
           }
         } catch (err) {
           // Skip inaccessible directories
@@ -195,389 +700,3050 @@ class AsciiTreeGenerator {
         }
       }
     } catch (err) {
-      console.warn(`Warning: Could not read directory ${currentDir}: ${err.message}`);
+      this.logger.warn(`Warning: Could not read directory ${currentDir}: ${err.message}`);
     }
   }
 
-  parseGitignoreContent(content) {
+  parseGitignoreContent(content, source = null) {
     const patterns = [];
     const lines = content.split('\n');
     
-    for (let line of lines) {
-      line = line.trim();
-      
-      // Skip empty lines and comments
-      if (!line || line.startsWith('#')) continue;
-      
-      // Handle negation patterns
-      const isNegation = line.startsWith('!');
-      if (isNegation) {
-        line = line.slice(1); // Remove the ! prefix
-      }
-      
-      // Clean up directory and root patterns
-      if (line.endsWith('/')) {
-        line = line.slice(0, -1);
-      }
-      if (line.startsWith('/')) {
-        line = line.slice(1);
+    lines.forEach((line, index) => {
+      const patternObj = parseGitignoreLine(line);
+      if (patternObj) {
+        patterns.push({ ...patternObj, line: index + 1, source });
       }
-      
-      // Store pattern with negation flag
-      patterns.push({
-        pattern: line,
-        isNegation: isNegation
-      });
-    }
+    });
     
     return patterns;
   }
 
-  // Check if a directory should be ignored based on .gitignore files found so far
-  isDirectoryIgnoredBySoFar(itemName, relativePath, gitignoreFiles) {
-    // Get directory path of the item
-    const itemDirectory = path.dirname(relativePath);
-    const normalizedItemDir = itemDirectory === '.' ? '' : itemDirectory;
-    
-    // Find all .gitignore files that apply to this path
-    const applicableGitignores = gitignoreFiles.filter(gitignore => {
-      return this.isPathInDirectory(normalizedItemDir, gitignore.relativePath);
-    });
-    
-    // Sort by specificity (root first, then more specific)
-    applicableGitignores.sort((a, b) => a.relativePath.length - b.relativePath.length);
+  // Compiled filter state of a directory, built once from its parent's and cached per ignore source list:
+  // - groups: the patterns of every ignore source that applies to the directory's entries, root first,
+  //   each with the path from the source's directory to this one, so an entry is matched as prefix + name
+  // - ignored: whether the directory or one of its parents is ignored, which nothing below can undo
+  // - excludeCovered/includeCovered: which --exclude/--include globs matched the directory or a parent
+  getMatcher(dirPath, sources = this.gitignoreFiles) {
+    let matchers = this.matcherCache.get(sources);
+    if (!matchers) {
+      matchers = new Map();
+      this.matcherCache.set(sources, matchers);
+    }
     
-    let shouldIgnoreItem = false;
+    let matcher = matchers.get(dirPath);
+    if (matcher) return matcher;
     
-    // Apply patterns in hierarchical order
-    for (const gitignore of applicableGitignores) {
-      // Calculate relative path from this .gitignore's directory to the item
-      let relativeFromGitignore;
-      if (gitignore.relativePath === '') {
-        relativeFromGitignore = relativePath;
-      } else {
-        relativeFromGitignore = path.relative(gitignore.relativePath, relativePath);
-      }
-      
-      // Normalize path separators
-      relativeFromGitignore = relativeFromGitignore.split(path.sep).join('/');
+    if (dirPath === '') {
+      matcher = {
+        groups: this.createMatcherGroups(sources, ''),
+        ignored: false,
+        excludeCovered: this.excludeRules.map(() => false),
+        includeCovered: this.includeRules.map(() => false)
+      };
+    } else {
+      const parentDir = path.posix.dirname(dirPath);
+      const parent = this.getMatcher(parentDir === '.' ? '' : parentDir, sources);
+      const name = path.posix.basename(dirPath);
       
-      // Apply patterns from this .gitignore
-      for (const patternObj of gitignore.patterns) {
-        if (this.matchesPattern(patternObj.pattern, itemName, relativeFromGitignore)) {
-          shouldIgnoreItem = patternObj.isNegation ? false : true;
-        }
-      }
+      matcher = {
+        groups: [
+          ...parent.groups.map(group => ({ ...group, prefix: `${group.prefix}${name}/` })),
+          ...this.createMatcherGroups(sources, dirPath)
+        ],
+        ignored: parent.ignored || this.matchIgnoreGroups(parent.groups, name, true),
+        excludeCovered: this.excludeRules.map((rule, index) => parent.excludeCovered[index] || this.matchesPattern(rule, dirPath, true)),
+        includeCovered: this.includeRules.map((rule, index) => parent.includeCovered[index] || this.matchesPattern(rule, dirPath, true))
+      };
     }
     
-    return shouldIgnoreItem;
+    matchers.set(dirPath, matcher);
+    return matcher;
+  }
+
+  // Pattern groups of the ignore sources that live in a directory, in their order of precedence
+  createMatcherGroups(sources, dirPath) {
+    return sources
+      .filter(source => source.relativePath === dirPath)
+      .map(source => ({
+        source: source.source,
+        file: source.file,
+        patterns: source.patterns,
+        prefix: source.basePath ? `${source.basePath}/` : ''
+      }));
   }
 
-  matchesPattern(pattern, itemName, relativePath) {
-    const normalizedRelativePath = relativePath.split(path.sep).join('/');
-    const normalizedPattern = pattern.split(path.sep).join('/');
+  // Apply ignore pattern groups to an entry of their directory, the last matching pattern wins.
+  // Each pattern that flips the result is added to trace when one is given.
+  matchIgnoreGroups(groups, name, isDirectory, trace = null) {
+    let ignored = false;
     
-    // Handle wildcard patterns
-    if (pattern.includes('*') || pattern.includes('?')) {
-      const regexPattern = normalizedPattern
-        .replace(/\./g, '\\.')
-        .replace(/\*/g, '.*')
-        .replace(/\?/g, '.');
+    for (const group of groups) {
+      const relativePath = group.prefix + name;
       
-      const regex = new RegExp(`^${regexPattern}$`);
-      
-      if (regex.test(itemName) || regex.test(normalizedRelativePath)) {
-        return true;
-      }
-      
-      // Check parent directories
-      const pathParts = normalizedRelativePath.split('/');
-      for (let i = 0; i < pathParts.length; i++) {
-        const partialPath = pathParts.slice(0, i + 1).join('/');
-        if (regex.test(partialPath)) {
-          return true;
+      for (const patternObj of group.patterns) {
+        if (patternObj.isNegation === ignored && this.matchesPattern(patternObj, relativePath, isDirectory)) {
+          ignored = !patternObj.isNegation;
+          
+          if (trace) {
+            trace.push({
+              source: group.source,
+              file: group.file,
+              line: patternObj.line || null,
+              pattern: patternObj.isNegation ? `!${patternObj.pattern}` : patternObj.pattern,
+              path: relativePath,
+              result: ignored ? 'ignored' : 're-included'
+            });
+          }
+          if (this.options.debug) {
+            const patternDisplay = patternObj.isNegation ? `!${patternObj.pattern}` : patternObj.pattern;
+            this.logger.debug(`  Pattern "${patternDisplay}" from ${group.source} matched ${relativePath} → ${ignored ? 'ignored' : 'unignored'}`);
+          }
         }
       }
-      
-      return false;
-    }
-    
-    // Exact name match
-    if (itemName === normalizedPattern) return true;
-    if (normalizedRelativePath === normalizedPattern) return true;
-    
-    // Handle directory-specific patterns
-    if (normalizedPattern.includes('/')) {
-      if (normalizedRelativePath.startsWith(normalizedPattern + '/') || 
-          normalizedRelativePath === normalizedPattern) {
-        return true;
-      }
-    } else {
-      const pathParts = normalizedRelativePath.split('/');
-      
-      if (pathParts.includes(normalizedPattern)) return true;
-      
-      if (normalizedRelativePath.endsWith('/' + normalizedPattern) || 
-          normalizedRelativePath === normalizedPattern) {
-        return true;
-      }
     }
     
-    return false;
+    return ignored;
   }
 
-  // Check if a path is within a directory or its subdirectories
-  isPathInDirectory(itemPath, directoryPath) {
-    if (directoryPath === '') return true; // Root applies to everything
+  matchesPattern(patternObj, relativePath, isDirectory) {
+    // Patterns with a trailing slash only match directories
+    if (patternObj.dirOnly && !isDirectory) return false;
     
-    const normalizedItemPath = itemPath.split(path.sep).join('/');
-    const normalizedDirPath = directoryPath.split(path.sep).join('/');
-    
-    return normalizedItemPath.startsWith(normalizedDirPath + '/') || 
-           normalizedItemPath === normalizedDirPath;
+    return patternObj.regex.test(relativePath);
   }
 
-  shouldIgnore(itemName, relativePath) {
-    if (this.options.debug) {
-      console.log(`\n--- Checking ignore for: ${itemName} ---`);
-      console.log(`Relative path: ${relativePath}`);
-    }
-    
-    // Get directory path of the item
-    const itemDirectory = path.dirname(relativePath);
-    const normalizedItemDir = itemDirectory === '.' ? '' : itemDirectory;
+  // Evaluate --include/--exclude globs in order against a root-relative path. A rule matches the path
+  // itself or one of its parent directories (covered), the last matching rule wins and a "!" rule flips it.
+  // Returns null when no rule matches.
+  matchFilterRules(rules, covered, relativePath, isDirectory) {
+    let result = null;
     
-    // Find all .gitignore files that apply to this path
-    const applicableGitignores = this.gitignoreFiles.filter(gitignore => {
-      const applies = this.isPathInDirectory(normalizedItemDir, gitignore.relativePath);
-      if (this.options.debug && applies) {
-        const location = gitignore.relativePath === '' ? 'root' : gitignore.relativePath;
-        console.log(`  Applies: ${location} .gitignore`);
+    rules.forEach((rule, index) => {
+      if (covered[index] || this.matchesPattern(rule, relativePath, isDirectory)) {
+        result = !rule.isNegation;
       }
-      return applies;
     });
     
-    // Sort by specificity (root first, then more specific)
-    applicableGitignores.sort((a, b) => a.relativePath.length - b.relativePath.length);
-    
-    let shouldIgnoreItem = false;
+    return result;
+  }
+
+  // The --include/--exclude rule that decides a root-relative path, and what it matched: the path or one of its
+  // parent directories. Null when no rule matches. Only used to explain matchFilterRules() results.
+  findDecisiveFilterRule(rules, relativePath, isDirectory) {
+    const parts = relativePath.split('/');
     
-    // Apply patterns in hierarchical order
-    for (const gitignore of applicableGitignores) {
-      // Calculate relative path from this .gitignore's directory to the item
-      let relativeFromGitignore;
-      if (gitignore.relativePath === '') {
-        relativeFromGitignore = relativePath;
-      } else {
-        relativeFromGitignore = path.relative(gitignore.relativePath, relativePath);
-      }
-      
-      // Normalize path separators
-      relativeFromGitignore = relativeFromGitignore.split(path.sep).join('/');
-      
-      if (this.options.debug) {
-        const location = gitignore.relativePath === '' ? 'root' : gitignore.relativePath;
-        console.log(`  Checking against ${location} .gitignore (${gitignore.patterns.length} patterns)`);
-        console.log(`  Relative from .gitignore: ${relativeFromGitignore}`);
-      }
-      
-      // Apply patterns from this .gitignore
-      for (const patternObj of gitignore.patterns) {
-        if (this.matchesPattern(patternObj.pattern, itemName, relativeFromGitignore)) {
-          const previousState = shouldIgnoreItem;
-          shouldIgnoreItem = patternObj.isNegation ? false : true;
-          
-          if (this.options.debug) {
-            const action = patternObj.isNegation ? 'unignored' : 'ignored';
-            const patternDisplay = patternObj.isNegation ? `!${patternObj.pattern}` : patternObj.pattern;
-            console.log(`    Pattern "${patternDisplay}" matched → ${action} (was: ${previousState}, now: ${shouldIgnoreItem})`);
-          }
+    for (let index = rules.length - 1; index >= 0; index--) {
+      for (let depth = 1; depth <= parts.length; depth++) {
+        const matchedPath = parts.slice(0, depth).join('/');
+        if (this.matchesPattern(rules[index], matchedPath, depth < parts.length || isDirectory)) {
+          return { rule: rules[index], matchedPath };
         }
       }
     }
     
-    if (this.options.debug) {
-      console.log(`  Final result: ${shouldIgnoreItem ? 'IGNORE' : 'INCLUDE'}`);
+    return null;
+  }
+
+  // The include/exclude filters as one list of stages, checked in order after the ignore rules.
+  // A stage returns false to drop an entry; include stages only apply to files.
+  // describe() tells the explain command why a stage kept or dropped an entry.
+  compileFilterStages() {
+    const stages = [];
+    const matchesRegex = (regex, { name, relativePath }) => regex.test(name) || regex.test(relativePath);
+    const describeRules = (rules, entry, isDirectory) => {
+      const match = this.findDecisiveFilterRule(rules, entry.relativePath, isDirectory);
+      if (!match) return 'no rule matches';
+      
+      const via = match.matchedPath === entry.relativePath ? '' : ` (via ${match.matchedPath}/)`;
+      return `"${match.rule.glob}" matches${via}`;
+    };
+    const describeRegex = (regex, entry) => {
+      const matched = regex.test(entry.name) ? 'the name' : (regex.test(entry.relativePath) ? 'the path' : null);
+      return matched ? `/${regex.source}/ matches ${matched}` : `/${regex.source}/ matches neither the name nor the path`;
+    };
+    
+    if (this.excludeRules.length > 0) {
+      stages.push({
+        label: '--exclude',
+        directories: true,
+        keep: entry => !this.matchFilterRules(this.excludeRules, entry.matcher.excludeCovered, entry.relativePath, entry.isDirectory),
+        describe: entry => describeRules(this.excludeRules, entry, entry.isDirectory)
+      });
+    }
+    if (this.excludeRegex) {
+      stages.push({
+        label: 'exclude pattern',
+        directories: true,
+        keep: entry => !matchesRegex(this.excludeRegex, entry),
+        describe: entry => describeRegex(this.excludeRegex, entry)
+      });
+    }
+    if (this.includeRules.length > 0) {
+      stages.push({
+        label: '--include',
+        directories: false,
+        keep: entry => this.matchFilterRules(this.includeRules, entry.matcher.includeCovered, entry.relativePath, false) === true,
+        describe: entry => describeRules(this.includeRules, entry, false)
+      });
+    }
+    if (this.includeRegex) {
+      stages.push({
+        label: 'include pattern',
+        directories: false,
+        keep: entry => matchesRegex(this.includeRegex, entry),
+        describe: entry => describeRegex(this.includeRegex, entry)
+      });
     }
     
-    return shouldIgnoreItem;
+    return stages;
   }
 
-  shouldIncludeByPatterns(itemName, relativePath, isDirectory) {
-    const normalizedRelativePath = relativePath.split(path.sep).join('/');
+  shouldIncludeItem(itemName, relativePath, isDirectory) {
+    const normalizedPath = toPosix(relativePath);
+    const parentDir = path.posix.dirname(normalizedPath);
+    const matcher = this.getMatcher(parentDir === '.' ? '' : parentDir);
     
     if (this.options.debug) {
-      console.log(`\n--- Checking: ${itemName} (${isDirectory ? 'DIR' : 'FILE'}) ---`);
-      console.log(`Path: ${normalizedRelativePath}`);
-    }
-    
-    // Directories: only apply exclude patterns
-    if (isDirectory) {
-      if (this.excludeRegex) {
-        const nameMatch = this.excludeRegex.test(itemName);
-        const pathMatch = this.excludeRegex.test(normalizedRelativePath);
-        
-        if (this.options.debug) {
-          console.log(`Exclude test - Name: ${nameMatch}, Path: ${pathMatch}`);
-        }
-        
-        if (nameMatch || pathMatch) {
-          if (this.options.debug) console.log(`❌ Directory excluded by pattern`);
-          return false;
-        }
-      }
-      if (this.options.debug) console.log(`✅ Directory included`);
-      return true;
+      this.logger.debug(`\n--- Checking: ${itemName} (${isDirectory ? 'DIR' : 'FILE'}) ---`);
+      this.logger.debug(`Path: ${normalizedPath}`);
     }
     
-    // Files: apply both include and exclude patterns
-    if (this.excludeRegex) {
-      const nameMatch = this.excludeRegex.test(itemName);
-      const pathMatch = this.excludeRegex.test(normalizedRelativePath);
-      
-      if (this.options.debug) {
-        console.log(`Exclude test - Name: ${nameMatch}, Path: ${pathMatch}`);
-      }
-      
-      if (nameMatch || pathMatch) {
-        if (this.options.debug) console.log(`❌ File excluded by pattern`);
-        return false;
-      }
+    // --report counts the entries each ignore source hid, by the pattern that decided
+    const trace = this.options.report ? [] : null;
+    if (matcher.ignored || this.matchIgnoreGroups(matcher.groups, itemName, isDirectory, trace)) {
+      if (this.options.debug) this.logger.debug(`❌ Ignored${matcher.ignored ? ' (parent directory is ignored)' : ''}`);
+      if (trace && trace.length > 0) this.countHidden(trace[trace.length - 1].source);
+      return false;
     }
     
-    if (this.includeRegex) {
-      const nameMatch = this.includeRegex.test(itemName);
-      const pathMatch = this.includeRegex.test(normalizedRelativePath);
+    const entry = { name: itemName, relativePath: normalizedPath, isDirectory, matcher };
+    for (const stage of this.filterStages) {
+      if ((isDirectory && !stage.directories) || stage.keep(entry)) continue;
       
-      if (this.options.debug) {
-        console.log(`Include test - Name: ${nameMatch}, Path: ${pathMatch}`);
-      }
-      
-      if (!nameMatch && !pathMatch) {
-        if (this.options.debug) console.log(`❌ File doesn't match include pattern`);
-        return false;
-      }
-      if (this.options.debug) console.log(`✅ File matches include pattern`);
+      if (this.options.debug) this.logger.debug(`❌ ${isDirectory ? 'Directory' : 'File'} excluded by ${stage.label}`);
+      if (this.options.report) this.countHidden(stage.label);
+      return false;
     }
     
-    if (this.options.debug) console.log(`✅ File included`);
+    if (this.options.debug) this.logger.debug(`✅ ${isDirectory ? 'Directory' : 'File'} included`);
     return true;
   }
 
-  shouldIncludeItem(itemName, relativePath, isDirectory) {
-    if (this.shouldIgnore(itemName, relativePath)) {
-      return false;
-    }
+  // Why a root-relative path is shown in the tree or hidden from it, for the explain command: the checks the
+  // tree walk applies to each of its parent directories and to the path itself, up to the first that hides it.
+  // Paths that do not exist are explained as the rules would apply to them (a directory when isDirectory is set).
+  explainPath(relativePath, isDirectory = false) {
+    if (!this.projectRoot) this.loadRoot(this.options.roots[0]);
     
-    return this.shouldIncludeByPatterns(itemName, relativePath, isDirectory);
+    let entry = null;
+    try {
+      entry = this.statEntry(path.join(this.projectRoot, relativePath));
+    } catch (err) {
+      // Does not exist
+    }
+    
+    const type = (entry ? entry.isDirectory : isDirectory) ? 'directory' : 'file';
+    const parts = relativePath.split('/');
+    const levels = [];
+    let hiddenBy = null;
+    for (let depth = 0; depth < parts.length && !hiddenBy; depth++) {
+      const isLast = depth === parts.length - 1;
+      const level = { path: parts.slice(0, depth + 1).join('/'), type: isLast ? type : 'directory' };
+      level.checks = this.explainLevel(parts[depth], level.path, level.type === 'directory', depth, isLast ? entry : null, isLast);
+      levels.push(level);
+      
+      const failed = level.checks.find(check => !check.passed);
+      if (failed) {
+        hiddenBy = { level, check: failed };
+      }
+    }
+    
+    // Below an ignored directory, list the negations that would re-include an entry if git looked at it
+    if (hiddenBy && hiddenBy.check.check === 'ignore rules') {
+      for (let depth = levels.length; depth < parts.length; depth++) {
+        const isLast = depth === parts.length - 1;
+        const level = { path: parts.slice(0, depth + 1).join('/'), type: isLast ? type : 'directory' };
+        const rules = this.findBlockedNegations(parts[depth], level.path, level.type === 'directory');
+        if (rules.length > 0) {
+          level.checks = [{ check: 'ignore rules', passed: false, detail: 'parent directory excluded', rules }];
+          levels.push(level);
+        }
+      }
+    }
+    
+    let reason = null;
+    if (hiddenBy) {
+      const { check } = hiddenBy;
+      const lastRule = check.rules && check.rules[check.rules.length - 1];
+      const cause = lastRule
+        ? `ignored by ${lastRule.line ? `${lastRule.source}:${lastRule.line}` : lastRule.source} "${lastRule.pattern}"`
+        : `${check.check}: ${check.detail}`;
+      reason = hiddenBy.level.path === relativePath
+        ? cause
+        : `its parent directory ${hiddenBy.level.path}/ is hidden (${cause}), so nothing below it is shown`;
+    }
+    
+    return {
+      path: relativePath,
+      type,
+      exists: Boolean(entry),
+      shown: !hiddenBy,
+      reason,
+      levels
+    };
   }
 
-  // Recursively generate tree structure
-  generateTree(dirPath, prefix = '', projectRoot = null, currentDepth = 0) {
-    let result = '';
+  // Negation rules matching an entry of an ignored directory. Like git, they cannot re-include it.
+  findBlockedNegations(name, relativePath, isDirectory) {
+    const parentDir = path.posix.dirname(relativePath) === '.' ? '' : path.posix.dirname(relativePath);
+    const rules = [];
+    
+    this.getMatcher(parentDir).groups.forEach(group => {
+      group.patterns.forEach(patternObj => {
+        if (patternObj.isNegation && this.matchesPattern(patternObj, group.prefix + name, isDirectory)) {
+          rules.push({
+            source: group.source,
+            file: group.file,
+            line: patternObj.line || null,
+            pattern: `!${patternObj.pattern}`,
+            path: group.prefix + name,
+            result: 'cannot re-include: parent directory excluded'
+          });
+        }
+      });
+    });
+    
+    return rules;
+  }
+
+  // The checks of explainPath() for one entry, in the order the tree walk applies them, stopping at the first that fails
+  explainLevel(name, relativePath, isDirectory, depth, entry, isLast) {
+    const checks = [];
+    const add = (check, passed, detail, extra = {}) => {
+      checks.push({ check, passed, detail, ...extra });
+      return passed;
+    };
+    const parentDir = path.posix.dirname(relativePath) === '.' ? '' : path.posix.dirname(relativePath);
+    const { maxDepth, minSize, maxSize } = this.options;
+    
+    if (depth > maxDepth) {
+      add('--max-depth', false, `depth ${depth} is deeper than --max-depth ${maxDepth}`);
+      return checks;
+    }
+    
+    if (this.gitEntries) {
+      const listed = (this.gitEntries.children.get(parentDir) || new Set()).has(name);
+      const unlisted = this.options.gitStatusOnly ? 'git reports no change' : 'git neither tracks it nor lists it as untracked';
+      if (!add('--git', listed, listed ? 'listed by git' : unlisted)) return checks;
+    }
+    
+    const matcher = this.getMatcher(parentDir);
+    const rules = [];
+    const ignored = this.matchIgnoreGroups(matcher.groups, name, isDirectory, rules);
+    const ignoreDetail = ignored ? 'ignored' : (rules.length > 0 ? 're-included' : 'no rule matches');
+    if (!add('ignore rules', !ignored, ignoreDetail, { rules })) return checks;
+    
+    const filterEntry = { name, relativePath, isDirectory, matcher };
+    for (const stage of this.filterStages) {
+      if (isDirectory && !stage.directories) continue;
+      if (!add(stage.label, stage.keep(filterEntry), stage.describe(filterEntry))) return checks;
+    }
+    
+    if (!isDirectory && entry && (minSize > 0 || maxSize < Infinity)) {
+      const withinLimits = this.isWithinSizeLimits(entry.stats.size);
+      if (!add('--min-size/--max-size', withinLimits, `${formatSize(entry.stats.size)} is ${withinLimits ? 'within' : 'outside'} the size limits`)) return checks;
+    }
+    
+    if (!isLast) return checks;
+    
+    if (this.options.dirsOnly && !isDirectory) {
+      add('--dirs-only', false, 'only directories are shown');
+    } else if (this.options.filesOnly && isDirectory) {
+      add('--files-only', false, 'the files below it are listed, not the directory itself');
+    } else if (this.options.prune && isDirectory && entry) {
+      const fullPath = path.join(this.projectRoot, relativePath);
+      const children = this.shouldWalkDirectory(depth)
+        ? this.buildTree(fullPath, this.projectRoot, depth + 1, this.createAncestorSet(fullPath))
+        : [];
+      add('--prune', children.length > 0, children.length > 0 ? 'has shown entries' : 'nothing below it is shown');
+    }
+    if (checks.every(check => check.passed) && maxDepth < Infinity) {
+      add('--max-depth', true, `depth ${depth} is within --max-depth ${maxDepth}`);
+    }
+    
+    return checks;
+  }
+
+  // Stat an entry without following symlinks. Symlinks count as directories only when
+  // --follow-symlinks is set and the link resolves to a directory.
+  statEntry(fullPath) {
+    const linkStats = fs.lstatSync(fullPath);
+    this.stats.statCalls++;
+    
+    if (!linkStats.isSymbolicLink()) {
+      return { stats: linkStats, isDirectory: linkStats.isDirectory(), symlink: null };
+    }
+    
+    const symlink = { target: fs.readlinkSync(fullPath), broken: false };
+    let stats = linkStats;
+    try {
+      stats = fs.statSync(fullPath);
+    } catch (err) {
+      symlink.broken = true;
+    }
+    
+    return {
+      stats,
+      isDirectory: this.options.followSymlinks && !symlink.broken && stats.isDirectory(),
+      symlink
+    };
+  }
+
+  // Real paths of the directories currently being traversed, used to cut symlink cycles
+  createAncestorSet(rootPath) {
+    return this.options.followSymlinks ? new Set([fs.realpathSync(rootPath)]) : null;
+  }
+
+  // statEntry() for --git mode, where deleted files and directories that only hold deleted files are still listed
+  statGitEntry(fullPath, relativePath) {
+    try {
+      return this.statEntry(fullPath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      return this.createDeletedGitEntry(relativePath);
+    }
+  }
+
+  createDeletedGitEntry(relativePath) {
+    return {
+      stats: { size: 0, mtime: new Date(0), mtimeMs: 0 },
+      isDirectory: this.gitEntries.children.has(toPosix(relativePath)),
+      symlink: null
+    };
+  }
+
+  // statEntry() for the async walker, including the --git mode stubs of statGitEntry()
+  async statEntryAsync(fullPath, relativePath) {
+    try {
+      const linkStats = await this.limit(() => fs.promises.lstat(fullPath));
+      this.stats.statCalls++;
+      
+      if (!linkStats.isSymbolicLink()) {
+        return { stats: linkStats, isDirectory: linkStats.isDirectory(), symlink: null };
+      }
+      
+      const symlink = { target: await fs.promises.readlink(fullPath), broken: false };
+      let stats = linkStats;
+      try {
+        stats = await this.limit(() => fs.promises.stat(fullPath));
+      } catch (err) {
+        symlink.broken = true;
+      }
+      
+      return {
+        stats,
+        isDirectory: this.options.followSymlinks && !symlink.broken && stats.isDirectory(),
+        symlink
+      };
+    } catch (err) {
+      if (!this.gitEntries || err.code !== 'ENOENT') throw err;
+      return this.createDeletedGitEntry(relativePath);
+    }
+  }
+
+  // Run a traversal step inside a directory. Returns false without running it
+  // when the directory's real path is already being traversed (a symlink cycle).
+  walkDirectory(dirPath, ancestors, callback) {
+    if (!ancestors) {
+      callback();
+      return true;
+    }
     
+    const realPath = fs.realpathSync(dirPath);
+    if (ancestors.has(realPath)) return false;
+    
+    ancestors.add(realPath);
+    try {
+      callback();
+    } finally {
+      ancestors.delete(realPath);
+    }
+    return true;
+  }
+
+  // Recursively build the node model for a directory. Called directly, it loads the ignore rules of
+  // the project root first, like buildRootNode() does.
+  buildTree(dirPath, projectRoot = null, currentDepth = 0, ancestors = null) {
     if (!projectRoot) {
       projectRoot = dirPath;
     }
+    if (!this.projectRoot) this.loadRoot(projectRoot);
     
     try {
-      const allItems = fs.readdirSync(dirPath);
+      const allItems = this.gitEntries
+        ? [...(this.gitEntries.children.get(toPosix(path.relative(projectRoot, dirPath))) || [])]
+        : fs.readdirSync(dirPath);
+      this.stats.directoryReads++;
       
-      // Filter and sort items
+      // Filter items, they are sorted once their nodes are built
       const items = allItems
         .map(item => {
           const fullPath = path.join(dirPath, item);
           const relativePath = path.relative(projectRoot, fullPath);
           
           try {
-            const stats = fs.statSync(fullPath);
-            const isDirectory = stats.isDirectory();
-            const shouldInclude = this.shouldIncludeItem(item, relativePath, isDirectory);
-            
-            return {
-              name: item,
-              fullPath,
-              relativePath,
-              isDirectory,
-              shouldInclude,
-              stats
-            };
+            const entry = this.gitEntries ? this.statGitEntry(fullPath, relativePath) : this.statEntry(fullPath);
+            return this.createItem(item, fullPath, relativePath, entry);
           } catch (err) {
-            console.warn(`Warning: Cannot stat ${fullPath}`);
+            this.logger.warn(`Warning: Cannot stat ${fullPath}`);
             return null;
           }
         })
-        .filter(item => item && item.shouldInclude)
-        .sort((a, b) => {
-          // Directories first, then files alphabetically
-          if (a.isDirectory && !b.isDirectory) return -1;
-          if (!a.isDirectory && b.isDirectory) return 1;
-          return a.name.localeCompare(b.name);
-        });
+        .filter(item => item && item.shouldInclude);
 
-      items.forEach((item, index) => {
-        const isLast = index === items.length - 1;
-        const connector = isLast ? '└── ' : '├── ';
+      const entries = [];
+      for (const item of items) {
+        const node = this.createNode(item);
         
-        result += `${prefix}${connector}${item.name}\n`;
+        if (item.isDirectory) {
+          let children = [];
+          let entered = true;
+          if (this.shouldWalkDirectory(currentDepth)) {
+            entered = this.walkDirectory(item.fullPath, ancestors, () => {
+              children = this.buildTree(item.fullPath, projectRoot, currentDepth + 1, ancestors);
+            });
+          }
+          if (!this.completeDirectory(node, item, children, entered, currentDepth)) continue;
+        } else {
+          this.annotateFile(node, item);
+        }
         
-        // Recurse into directories within depth limit
-        if (item.isDirectory && currentDepth < this.options.maxDepth) {
-          const newPrefix = prefix + (isLast ? '    ' : '│   ');
-          result += this.generateTree(item.fullPath, newPrefix, projectRoot, currentDepth + 1);
+        entries.push({ node: this.compactChain(node), item });
+      }
+      
+      return this.sortEntries(entries).map(entry => entry.node);
+    } catch (err) {
+      this.logger.error(`Error reading directory ${dirPath}:`, err.message);
+      return [];
+    }
+  }
+
+  // buildTree() for the async walker. Directories and stat calls run concurrently (bounded by the
+  // concurrency option), .gitignore files are picked up as their directory is reached, and ignored
+  // entries are skipped on their directory entry type without a stat call. Same nodes, same order.
+  async buildTreeAsync(dirPath, projectRoot, currentDepth = 0, ancestors = null) {
+    try {
+      const relativeDir = toPosix(path.relative(projectRoot, dirPath));
+      const dirents = this.gitEntries
+        ? [...(this.gitEntries.children.get(relativeDir) || [])].map(name => ({ name }))
+        : await this.limit(() => readDirents(dirPath));
+      this.stats.directoryReads++;
+      
+      // The root .gitignore was read before the walk
+      if (this.discoverIgnoreFiles && relativeDir && dirents.some(dirent => dirent.name === '.gitignore')) {
+        const gitignore = await this.readGitignoreSourceAsync(dirPath, relativeDir);
+        if (gitignore) {
+          this.gitignoreFiles.push(gitignore);
         }
-      });
+      }
+      
+      const items = (await Promise.all(dirents.map(dirent => this.createItemAsync(dirent, dirPath, projectRoot))))
+        .filter(item => item && item.shouldInclude);
+      
+      const entries = await Promise.all(items.map(async item => {
+        const node = this.createNode(item);
+        
+        if (item.isDirectory) {
+          let children = [];
+          let entered = true;
+          if (this.shouldWalkDirectory(currentDepth)) {
+            let branch = ancestors;
+            if (ancestors) {
+              const realPath = await fs.promises.realpath(item.fullPath);
+              entered = !ancestors.has(realPath);
+              branch = new Set(ancestors).add(realPath);
+            }
+            if (entered) {
+              children = await this.buildTreeAsync(item.fullPath, projectRoot, currentDepth + 1, branch);
+            }
+          }
+          if (!this.completeDirectory(node, item, children, entered, currentDepth)) return null;
+        } else {
+          await this.annotateFileAsync(node, item);
+        }
+        
+        return { node: this.compactChain(node), item };
+      }));
+      
+      return this.sortEntries(entries.filter(Boolean)).map(entry => entry.node);
     } catch (err) {
-      console.error(`Error reading directory ${dirPath}:`, err.message);
+      this.logger.error(`Error reading directory ${dirPath}:`, err.message);
+      return [];
     }
+  }
+
+  // Stat a directory entry for the async walker. When the entry type already tells whether it is a
+  // directory, ignored entries are dropped before the stat call.
+  async createItemAsync(dirent, dirPath, projectRoot) {
+    const fullPath = path.join(dirPath, dirent.name);
+    const relativePath = path.relative(projectRoot, fullPath);
     
-    return result;
+    const knownType = dirent.isDirectory && (dirent.isFile() || dirent.isDirectory() ||
+      (dirent.isSymbolicLink() && !this.options.followSymlinks) || dirent.isFIFO() || dirent.isSocket() ||
+      dirent.isBlockDevice() || dirent.isCharacterDevice());
+    const included = knownType ? this.shouldIncludeItem(dirent.name, relativePath, dirent.isDirectory()) : undefined;
+    if (included === false) return null;
+    
+    try {
+      return this.createItem(dirent.name, fullPath, relativePath, await this.statEntryAsync(fullPath, relativePath), included);
+    } catch (err) {
+      this.logger.warn(`Warning: Cannot stat ${fullPath}`);
+      return null;
+    }
   }
 
-  run() {
-    const projectName = path.basename(process.cwd());
+  // Apply the include/exclude filters and size limits to a stat'ed directory entry
+  createItem(name, fullPath, relativePath, entry, included = this.shouldIncludeItem(name, relativePath, entry.isDirectory)) {
+    const withinSizeLimits = entry.isDirectory || this.isWithinSizeLimits(entry.stats.size);
+    if (included && !withinSizeLimits && this.options.report) {
+      this.countHidden('--min-size/--max-size');
+    }
     
-    console.log(`Generating ASCII tree for: ${projectName}`);
+    return {
+      name,
+      fullPath,
+      relativePath,
+      isDirectory: entry.isDirectory,
+      symlink: entry.symlink,
+      shouldInclude: included && withinSizeLimits,
+      stats: entry.stats
+    };
+  }
+
+  // Node for an included entry, without children or annotations
+  createNode(item) {
+    const node = {
+      name: item.name,
+      path: toPosix(item.relativePath),
+      type: item.symlink ? 'symlink' : (item.isDirectory ? 'directory' : 'file'),
+      size: item.isDirectory || (item.symlink && !this.options.followSymlinks) ? 0 : item.stats.size
+    };
     
-    if (this.options.includePattern) {
-      console.log(`Include pattern: ${this.options.includePattern}`);
+    if (item.symlink) {
+      node.target = item.symlink.target;
+      if (item.symlink.broken) {
+        node.broken = true;
+      }
     }
-    if (this.options.excludePattern) {
-      console.log(`Exclude pattern: ${this.options.excludePattern}`);
+    
+    const status = this.gitEntries && this.gitEntries.status.get(node.path);
+    if (status) {
+      node.status = status;
     }
-    console.log('');
     
-    const tree = this.generateTree('.', '', null, 0);
-    const output = `${projectName}/\n${tree}`;
+    const note = this.findNote(node.path, item.isDirectory);
+    if (note !== null) {
+      node.note = note;
+    }
     
-    if (this.options.dryRun) {
-      console.log('=== DRY RUN ===');
-      console.log('Would generate:');
-      console.log(output);
-      console.log(`Would save to: ${path.join(this.options.outputPath, this.options.outputName)}`);
-      return;
+    return node;
+  }
+
+  // Directories within the depth limit are expanded. Deeper directories are still
+  // walked when annotations need their totals, but their children are not kept.
+  shouldWalkDirectory(currentDepth) {
+    return currentDepth < this.options.maxDepth || this.needsDirectoryTotals();
+  }
+
+  // Attach the walked children to a directory node. Returns false when --prune drops it.
+  completeDirectory(node, item, children, entered, currentDepth) {
+    if (!entered) {
+      node.cycle = true;
     }
     
-    if (!fs.existsSync(this.options.outputPath)) {
-      fs.mkdirSync(this.options.outputPath, { recursive: true });
+    // --prune drops directories left without any included entry
+    if (this.options.prune && children.length === 0 && !node.cycle) {
+      if (this.options.report) this.countHidden('--prune');
+      return false;
+    }
+    
+    this.aggregateDirectory(node, children, item.stats);
+    node.children = currentDepth < this.options.maxDepth ? this.limitEntries(node, this.filterDirsOnly(children)) : [];
+    return true;
+  }
+
+  // Sort the entries of one directory: directory grouping first, then the sort key
+  // (or the custom comparator), ties broken by name. --reverse flips the key, not the grouping.
+  sortEntries(entries) {
+    const { sort, reverse, groupDirs, caseSensitive, comparator } = this.options;
+    const direction = reverse ? -1 : 1;
+    const mtimeOf = ({ node, item }) => (node.mtime ? Date.parse(node.mtime) : item.stats.mtimeMs);
+    
+    const compareKey = (a, b) => {
+      if (comparator) return comparator(a.node, b.node);
+      
+      switch (sort) {
+        case 'natural':
+          return compareNatural(a.node.name, b.node.name, caseSensitive);
+        case 'size':
+          return b.node.size - a.node.size;
+        case 'mtime':
+          return mtimeOf(b) - mtimeOf(a);
+        case 'extension':
+          return compareText(extensionOf(a.node, caseSensitive), extensionOf(b.node, caseSensitive), caseSensitive);
+        default:
+          return 0;
+      }
+    };
+    
+    return entries.sort((a, b) => {
+      if (groupDirs !== 'mixed') {
+        const aIsDirectory = Boolean(a.node.children);
+        const bIsDirectory = Boolean(b.node.children);
+        if (aIsDirectory !== bIsDirectory) {
+          return (aIsDirectory ? -1 : 1) * (groupDirs === 'first' ? 1 : -1);
+        }
+      }
+      
+      const result = compareKey(a, b) || compareText(a.node.name, b.node.name, caseSensitive);
+      return result * direction;
+    });
+  }
+
+  // Build the node model for the whole project, including the root node
+  buildRootNode() {
+    if (!this.projectRoot) this.loadRoot(this.options.roots[0]);
+    this.resetNotes();
+    
+    const start = performance.now();
+    const children = this.buildTree(this.projectRoot, this.projectRoot, 0, this.createAncestorSet(this.projectRoot));
+    const rootNode = this.createRootNode(children, fs.statSync(this.projectRoot));
+    this.stats.walkMs += performance.now() - start;
+    
+    return rootNode;
+  }
+
+  // buildRootNode() with the async walker. The root is (re)loaded without walking it for .gitignore files first.
+  async buildRootNodeAsync(root) {
+    this.loadRoot(root, false);
+    this.resetNotes();
+    this.stats.singlePass = this.stats.singlePass || this.discoverIgnoreFiles;
+    
+    const start = performance.now();
+    const children = await this.buildTreeAsync(this.projectRoot, this.projectRoot, 0, this.createAncestorSet(this.projectRoot));
+    if (this.discoverIgnoreFiles) {
+      this.logIgnoreFiles(this.gitignoreFiles);
+    }
+    const rootNode = this.createRootNode(children, await fs.promises.stat(this.projectRoot));
+    this.stats.walkMs += performance.now() - start;
+    
+    return rootNode;
+  }
+
+  createRootNode(children, stats) {
+    const rootNode = {
+      name: path.basename(this.projectRoot),
+      path: '',
+      type: 'directory'
+    };
+    this.aggregateDirectory(rootNode, children, stats);
+    rootNode.children = this.limitEntries(rootNode, this.filterDirsOnly(children));
+    this.warnUnmatchedNotes();
+    
+    return rootNode;
+  }
+
+  // Keep the first --max-entries children and record what was left out on the directory node
+  limitEntries(node, children) {
+    if (children.length <= this.options.maxEntries) return children;
+    
+    const hidden = children.slice(this.options.maxEntries);
+    const directories = hidden.filter(child => child.children).length;
+    node.truncated = {
+      files: hidden.length - directories,
+      directories
+    };
+    
+    return children.slice(0, this.options.maxEntries);
+  }
+
+  // With --compact, merge a directory whose only child is a directory into one "a/b/c" node.
+  // Children are compacted before their parents, so one merge covers the whole chain.
+  compactChain(node) {
+    if (!this.options.compact || node.type !== 'directory' || !node.children ||
+        node.children.length !== 1 || node.children[0].type !== 'directory' || node.truncated) {
+      return node;
+    }
+    
+    // --dirs-only has already dropped the files, but a directory that holds any is not a chain link
+    const child = node.children[0];
+    if (node.files !== undefined && node.files !== child.files) {
+      return node;
+    }
+    const merged = { ...child, name: `${node.name}/${child.name}` };
+    if (node.mtime) {
+      merged.mtime = node.mtime;
+    }
+    if (node.note !== undefined && merged.note === undefined) {
+      merged.note = node.note;
+    }
+    return merged;
+  }
+
+  isWithinSizeLimits(size) {
+    return size >= this.options.minSize && size <= this.options.maxSize;
+  }
+
+  // Whether directories below --max-depth are still walked: for annotation totals, --sort size
+  // (so the order does not depend on the depth), --dirs-only and HTML file counts and --prune, which
+  // needs to know if anything is inside
+  needsDirectoryTotals() {
+    const { showSize, showLines, showMtime, sort, dirsOnly, format, prune } = this.options;
+    return showSize || showLines || showMtime || sort === 'size' || dirsOnly || format === 'html' || prune;
+  }
+
+  // With --dirs-only, files are dropped once their parent has counted them
+  filterDirsOnly(children) {
+    return this.options.dirsOnly ? children.filter(child => child.children) : children;
+  }
+
+  // Add the requested line count and modification time to a file node
+  annotateFile(node, item) {
+    if (this.options.showLines) {
+      const isReadable = !item.symlink || (this.options.followSymlinks && !item.symlink.broken);
+      node.lines = isReadable ? countLines(item.fullPath) : null;
+    }
+    if (this.options.showMtime) {
+      node.mtime = item.stats.mtime.toISOString();
+    }
+  }
+
+  async annotateFileAsync(node, item) {
+    if (this.options.showLines) {
+      const isReadable = !item.symlink || (this.options.followSymlinks && !item.symlink.broken);
+      node.lines = isReadable ? await this.limit(() => countLinesAsync(item.fullPath)) : null;
+    }
+    if (this.options.showMtime) {
+      node.mtime = item.stats.mtime.toISOString();
+    }
+  }
+
+  // Directory totals: summed size and line count, latest modification time of anything inside,
+  // and with --dirs-only or HTML output the number of files inside
+  aggregateDirectory(node, children, stats) {
+    node.size = sumSizes(children);
+    
+    if (this.options.dirsOnly || this.options.format === 'html') {
+      node.files = children.reduce((sum, child) => sum + (child.children ? child.files : 1), 0);
+    }
+    
+    if (this.options.showLines) {
+      node.lines = children.reduce((sum, child) => sum + (child.lines || 0), 0);
+    }
+    if (this.options.showMtime) {
+      node.mtime = children.reduce(
+        (latest, child) => (child.mtime && child.mtime > latest ? child.mtime : latest),
+        stats.mtime.toISOString()
+      );
+    }
+  }
+
+  // Size, line and modification time annotations for the text tree, e.g. " (1.2 KB, 34 lines)"
+  formatAnnotations(node) {
+    const parts = [];
+    
+    if (this.options.dirsOnly && node.files !== undefined) {
+      parts.push(formatCount(node.files, 'file', 'files'));
+    }
+    if (this.options.showSize) {
+      parts.push(formatSize(node.size));
+    }
+    if (this.options.showLines && typeof node.lines === 'number') {
+      parts.push(`${node.lines.toLocaleString('en-US')} ${node.lines === 1 ? 'line' : 'lines'}`);
+    }
+    if (this.options.showMtime && node.mtime) {
+      parts.push(formatMtime(node.mtime));
+    }
+    
+    return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+  }
+
+  // Recursively generate tree structure
+  generateTree(dirPath, prefix = '', projectRoot = null, currentDepth = 0) {
+    return this.renderTextNodes(this.buildTree(dirPath, projectRoot, currentDepth), prefix);
+  }
+
+  renderTextNodes(nodes, prefix = '', truncated = null) {
+    return formatTextLines(this.collectTextLines(nodes, prefix, truncated));
+  }
+
+  // Text tree lines as { text, note } pairs, so notes can be aligned once every line is known
+  collectTextLines(nodes, prefix = '', truncated = null, lines = []) {
+    nodes.forEach((node, index) => {
+      const isLast = index === nodes.length - 1 && !truncated;
+      const connector = isLast ? this.connectors.last : this.connectors.branch;
+      const name = formatNodeName(node, this.options.dirSlash);
+      
+      lines.push({ text: `${prefix}${connector}${name}${this.formatAnnotations(node)}`, note: node.note });
+      
+      if (node.children) {
+        const newPrefix = prefix + (isLast ? this.connectors.space : this.connectors.vertical);
+        this.collectTextLines(node.children, newPrefix, node.truncated, lines);
+      }
+    });
+    
+    if (truncated) {
+      lines.push({ text: `${prefix}${this.connectors.last}${formatTruncation(truncated)}` });
+    }
+    
+    return lines;
+  }
+
+  // Render the node model in the configured output format.
+  // Accepts a single root node or an array of root nodes (multi-root runs).
+  render(rootNodes) {
+    const roots = Array.isArray(rootNodes) ? rootNodes : [rootNodes];
+    
+    if (this.options.filesOnly) {
+      return this.renderFileList(roots);
+    }
+    
+    switch (this.options.format) {
+      case 'json':
+        return JSON.stringify(rootNodes, null, 2) + '\n';
+      case 'yaml':
+        return toYaml(rootNodes) + '\n';
+      case 'ndjson':
+        return roots
+          .map(rootNode => flattenNodes(rootNode)
+            .map(({ node, depth }) => {
+              const { children, ...fields } = node;
+              return JSON.stringify({ ...fields, depth });
+            })
+            .join('\n'))
+          .join('\n') + '\n';
+      case 'html':
+        return this.renderHtml(roots);
+      case 'mermaid':
+        return this.renderMermaid(roots);
+      case 'dot':
+        return this.renderDot(roots);
+      default:
+        return roots
+          .map(rootNode => formatTextLines([
+            { text: `${rootNode.root || rootNode.name}/${this.formatAnnotations(rootNode)}` },
+            ...this.collectTextLines(rootNode.children, '', rootNode.truncated)
+          ]))
+          .join('\n');
+    }
+  }
+
+  // --files-only: a flat list of file paths relative to the project root (prefixed with the root in
+  // multi-root runs). Text lines keep annotations and notes, structured formats list paths or file nodes.
+  renderFileList(roots) {
+    const files = [];
+    roots.forEach(rootNode => flattenNodes(rootNode).forEach(({ node }) => {
+      if (node.children) return;
+      files.push({ ...node, path: rootNode.root ? `${rootNode.root}/${node.path}` : node.path });
+    }));
+    
+    switch (this.options.format) {
+      case 'json':
+        return JSON.stringify(files.map(file => file.path), null, 2) + '\n';
+      case 'yaml':
+        return toYaml(files.map(file => file.path)) + '\n';
+      case 'ndjson':
+        return files.map(file => JSON.stringify(file) + '\n').join('');
+      default:
+        return formatTextLines(files.map(file => ({
+          text: `${file.path}${this.formatAnnotations(file)}`,
+          note: file.note
+        })));
+    }
+  }
+
+  // Self-contained HTML page: collapsible <details> folders with file counts, a filter box
+  // and, with the links option, links relative to the output file
+  renderHtml(roots) {
+    const title = roots.map(rootNode => rootNode.root || rootNode.name).join(', ');
+    const outputDir = path.resolve(this.options.outputPath);
+    
+    const items = roots.map(rootNode => {
+      const rootDir = rootNode.root ? path.resolve(rootNode.root) : this.projectRoot;
+      const linkTo = this.options.links
+        ? node => toPosix(path.relative(outputDir, path.join(rootDir, node.path))).split('/').map(encodeURIComponent).join('/')
+        : null;
+      return this.renderHtmlNode({ ...rootNode, name: rootNode.root || rootNode.name }, linkTo, true);
+    });
+    
+    return [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '<meta charset="utf-8">',
+      '<meta name="viewport" content="width=device-width, initial-scale=1">',
+      `<title>${escapeHtml(title)}</title>`,
+      `<style>${HTML_STYLE}\n</style>`,
+      '</head>',
+      '<body>',
+      '<input type="search" id="filter" placeholder="Filter by path…" aria-label="Filter by path">',
+      `<ul class="tree">\n${items.join('\n')}\n</ul>`,
+      `<script>${HTML_SCRIPT}\n</script>`,
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+  }
+
+  // One <li> per node. Directories are <details> elements whose summary shows the number of files inside.
+  renderHtmlNode(node, linkTo, isOpen = false) {
+    const name = escapeHtml(formatNodeName(node, this.options.dirSlash || Boolean(node.children)));
+    const label = linkTo && node.path ? `<a href="${escapeHtml(linkTo(node))}">${name}</a>` : name;
+    const annotations = this.formatAnnotations(node);
+    const details = [
+      annotations ? `<span class="meta">${escapeHtml(annotations.trim())}</span>` : '',
+      node.note !== undefined ? `<span class="note"># ${escapeHtml(node.note)}</span>` : ''
+    ].filter(Boolean).join(' ');
+    const suffix = details ? ` ${details}` : '';
+    const dataPath = escapeHtml(node.path.toLowerCase());
+    
+    if (!node.children) {
+      return `<li class="file" data-path="${dataPath}">${label}${suffix}</li>`;
+    }
+    
+    // Counted while walking, including files below --max-depth
+    const fileCount = node.files;
+    const children = node.children.map(child => this.renderHtmlNode(child, linkTo));
+    if (node.truncated) {
+      children.push(`<li class="more" data-path="${dataPath}">${escapeHtml(formatTruncation(node.truncated))}</li>`);
+    }
+    
+    return [
+      `<li class="dir" data-path="${dataPath}"><details${isOpen ? ' open' : ''}>`,
+      `<summary>${label} <span class="count">${formatCount(fileCount, 'file', 'files')}</span>${suffix}</summary>`,
+      children.length > 0 ? `<ul>\n${children.join('\n')}\n</ul>` : '',
+      '</details></li>'
+    ].filter(Boolean).join('\n');
+  }
+
+  // Walk the nodes a diagram shows, calling visit(node, id, label, parentId) parents first.
+  // Ids come from paths, so diagrams of similar trees diff well.
+  walkDiagram(roots, visit) {
+    const walk = (node, id, parentId, label) => {
+      visit(node, id, label, parentId);
+      if (!node.children) return;
+      
+      node.children.forEach(child => {
+        const childLabel = formatNodeName(child, this.options.dirSlash) + this.formatAnnotations(child);
+        walk(child, diagramId(id, child.name), id, childLabel);
+      });
+      
+      if (node.truncated) {
+        visit(null, `${id}_more`, formatTruncation(node.truncated), id);
+      }
+    };
+    
+    roots.forEach((rootNode, index) => {
+      const label = `${rootNode.root || rootNode.name}/${this.formatAnnotations(rootNode)}`;
+      walk(rootNode, roots.length > 1 ? `root${index}` : 'root', null, label);
+    });
+  }
+
+  // Mermaid flowchart (graph TD) or mindmap
+  renderMermaid(roots) {
+    const isMindmap = this.options.mermaidType === 'mindmap';
+    if (isMindmap && roots.length > 1) {
+      throw new Error('A mermaid mindmap has a single root. Render one ROOT at a time or use mermaidType graph');
+    }
+    
+    const lines = [isMindmap ? 'mindmap' : 'graph TD'];
+    const depths = new Map();
+    
+    this.walkDiagram(roots, (node, id, label, parentId) => {
+      const shape = node && node.children ? `["${escapeMermaidLabel(label)}"]` : `("${escapeMermaidLabel(label)}")`;
+      if (isMindmap) {
+        const depth = parentId === null ? 1 : depths.get(parentId) + 1;
+        depths.set(id, depth);
+        lines.push(`${'  '.repeat(depth)}${id}${shape}`);
+      } else {
+        lines.push(parentId === null ? `  ${id}${shape}` : `  ${parentId} --> ${id}${shape}`);
+      }
+    });
+    
+    return lines.join('\n') + '\n';
+  }
+
+  // Graphviz digraph, left to right, directories drawn as folders
+  renderDot(roots) {
+    const lines = [
+      'digraph tree {',
+      '  rankdir=LR;',
+      '  node [shape=box, fontname="Helvetica"];'
+    ];
+    
+    this.walkDiagram(roots, (node, id, label, parentId) => {
+      const attributes = [`label=${quoteDot(label)}`];
+      if (node && node.children) {
+        attributes.push('shape=folder');
+      } else if (!node) {
+        attributes.push('shape=plaintext');
+      }
+      lines.push(`  ${id} [${attributes.join(', ')}];`);
+      if (parentId !== null) {
+        lines.push(`  ${parentId} -> ${id};`);
+      }
+    });
+    
+    lines.push('}');
+    return lines.join('\n') + '\n';
+  }
+
+  // Node model of every root: the root node, or an array of root nodes labelled with their `root` for several roots
+  buildRootNodes() {
+    const isMultiRoot = this.options.roots.length > 1;
+    
+    const rootNodes = this.options.roots.map(root => {
+      this.loadRoot(root);
+      this.logger.info(`Generating ASCII tree for: ${path.basename(this.projectRoot)}`);
+      
+      const rootNode = this.buildRootNode();
+      if (isMultiRoot) {
+        rootNode.root = toPosix(root).replace(/\/+$/, '') || '/';
+      }
+      return rootNode;
+    });
+    
+    return isMultiRoot ? rootNodes : rootNodes[0];
+  }
+
+  // buildRootNodes() with the async walker, one root after the other
+  async buildRootNodesAsync() {
+    const isMultiRoot = this.options.roots.length > 1;
+    
+    const rootNodes = [];
+    for (const root of this.options.roots) {
+      this.logger.info(`Generating ASCII tree for: ${path.basename(path.resolve(root))}`);
+      
+      const rootNode = await this.buildRootNodeAsync(root);
+      if (isMultiRoot) {
+        rootNode.root = toPosix(root).replace(/\/+$/, '') || '/';
+      }
+      rootNodes.push(rootNode);
+    }
+    
+    return isMultiRoot ? rootNodes : rootNodes[0];
+  }
+
+  generateOutput() {
+    this.resetStats('sync');
+    return this.renderOutput(this.buildRootNodes());
+  }
+
+  // generateOutput() with the async walker (or the synchronous one with walker: 'sync')
+  async generateOutputAsync() {
+    if (this.options.walker === 'sync') {
+      return this.generateOutput();
+    }
+    
+    this.resetStats('async');
+    return this.renderOutput(await this.buildRootNodesAsync());
+  }
+
+  renderOutput(nodes) {
+    if (this.options.includePattern) {
+      this.logger.info(`Include pattern: ${this.options.includePattern}`);
+    }
+    if (this.options.excludePattern) {
+      this.logger.info(`Exclude pattern: ${this.options.excludePattern}`);
+    }
+    if (this.options.include.length > 0) {
+      this.logger.info(`Include: ${this.options.include.join(' ')}`);
+    }
+    if (this.options.exclude.length > 0) {
+      this.logger.info(`Exclude: ${this.options.exclude.join(' ')}`);
+    }
+    this.logger.info('');
+    
+    const start = performance.now();
+    const output = this.options.report ? this.renderReport(this.buildReport(nodes)) : this.render(nodes) + this.renderSummary(nodes);
+    this.stats.renderMs = performance.now() - start;
+    this.stats.totalMs = performance.now() - this.stats.start;
+    
+    return output;
+  }
+
+  // --summary: a "12 directories, 48 files, 1.2 MB" footer below text trees, like the tree command's.
+  // --files-only lists no directories, so its footer only counts the files.
+  renderSummary(nodes) {
+    if (!this.options.summary || this.options.format !== 'text') return '';
+    
+    const { directories, files, size } = summarizeNodes(Array.isArray(nodes) ? nodes : [nodes]);
+    const counts = [formatCount(files, 'file', 'files')];
+    if (!this.options.filesOnly) {
+      counts.unshift(formatCount(directories, 'directory', 'directories'));
+    }
+    return `\n${counts.join(', ')}, ${formatSize(size)}\n`;
+  }
+
+  // --report: what the filtered tree contains. Totals, files and bytes per extension, the largest files and
+  // directories, entries per depth and how many entries each ignore source or filter hid during the walk
+  // (an ignored directory counts once, whatever is inside it).
+  buildReport(nodes) {
+    const roots = Array.isArray(nodes) ? nodes : [nodes];
+    const files = [];
+    const directories = [];
+    const extensions = new Map();
+    const depths = [];
+    
+    roots.forEach(rootNode => flattenNodes(rootNode).forEach(({ node, depth }) => {
+      if (node === rootNode) return;
+      
+      const entryPath = rootNode.root ? `${rootNode.root}/${node.path}` : node.path;
+      if (!depths[depth - 1]) {
+        depths[depth - 1] = { depth, directories: 0, files: 0 };
+      }
+      
+      if (node.children) {
+        directories.push({ path: entryPath, size: node.size, files: countFiles(node) });
+        depths[depth - 1].directories++;
+        return;
+      }
+      
+      files.push({ path: entryPath, size: node.size });
+      depths[depth - 1].files++;
+      
+      const extension = extensionOf(node, this.options.caseSensitive) || '(none)';
+      const counts = extensions.get(extension) || { extension, files: 0, size: 0 };
+      counts.files++;
+      counts.size += node.size;
+      extensions.set(extension, counts);
+    }));
+    
+    const bySize = (a, b) => b.size - a.size || compareText(a.path, b.path, true);
+    return {
+      name: roots.map(rootNode => rootNode.root || rootNode.name).join(', '),
+      totals: summarizeNodes(roots),
+      extensions: [...extensions.values()].sort((a, b) => b.files - a.files || b.size - a.size || compareText(a.extension, b.extension, true)),
+      largestFiles: files.sort(bySize).slice(0, REPORT_TOP_ENTRIES),
+      largestDirectories: directories.sort(bySize).slice(0, REPORT_TOP_ENTRIES),
+      depths: Array.from(depths, (counts, index) => counts || { depth: index + 1, directories: 0, files: 0 }),
+      hidden: [...this.stats.hidden]
+        .map(([source, entries]) => ({ source, entries }))
+        .sort((a, b) => b.entries - a.entries || compareText(a.source, b.source, true))
+    };
+  }
+
+  // Text (or JSON with --format json) form of a buildReport() result
+  renderReport(report) {
+    if (this.options.format === 'json') {
+      return JSON.stringify(report, null, 2) + '\n';
+    }
+    
+    const { directories, files, size } = report.totals;
+    const sections = [
+      [`Report: ${report.name}`, `  ${formatCount(directories, 'directory', 'directories')}, ${formatCount(files, 'file', 'files')}, ${formatSize(size)}`],
+      ['Extensions:', ...formatColumns(report.extensions.map(counts => [
+        counts.extension, formatCount(counts.files, 'file', 'files'), formatSize(counts.size)
+      ]), [false, true, true])],
+      ['Largest files:', ...formatColumns(report.largestFiles.map(file => [formatSize(file.size), file.path]), [true, false])],
+      ['Largest directories:', ...formatColumns(report.largestDirectories.map(directory => [
+        formatSize(directory.size), `${directory.path}/`, formatCount(directory.files, 'file', 'files')
+      ]), [true, false, true])],
+      ['Depth:', ...formatColumns(report.depths.map(counts => [
+        String(counts.depth), formatCount(counts.directories, 'dir', 'dirs'), formatCount(counts.files, 'file', 'files')
+      ]), [true, true, true])],
+      ['Hidden by:', ...formatColumns(report.hidden.map(hidden => [
+        hidden.source, formatCount(hidden.entries, 'entry', 'entries')
+      ]), [false, true])]
+    ];
+    
+    return sections
+      .map(([title, ...lines]) => [title, ...(lines.length > 0 ? lines : ['  none'])].join('\n'))
+      .join('\n\n') + '\n';
+  }
+
+  countHidden(source) {
+    this.stats.hidden.set(source, (this.stats.hidden.get(source) || 0) + 1);
+  }
+
+  resetStats(walker) {
+    this.stats = {
+      walker,
+      singlePass: false,
+      directoryReads: 0,
+      statCalls: 0,
+      hidden: new Map(),
+      discoverMs: 0,
+      walkMs: 0,
+      renderMs: 0,
+      totalMs: 0,
+      start: performance.now()
+    };
+  }
+
+  // --stats-timing: where the time of the last generated output went
+  logStats() {
+    const { walker, singlePass, directoryReads, statCalls, discoverMs, walkMs, renderMs, totalMs } = this.stats;
+    const formatMs = ms => `${ms.toFixed(1).padStart(9)} ms`;
+    const concurrency = walker === 'async' ? `, concurrency ${this.options.concurrency}` : '';
+    
+    this.logger.info(`Timing (${walker} walker${concurrency}):`);
+    this.logger.info(`  .gitignore discovery ${singlePass ? '  during the tree walk' : formatMs(discoverMs)}`);
+    this.logger.info(`  tree walk            ${formatMs(walkMs)}`);
+    this.logger.info(`  render               ${formatMs(renderMs)}`);
+    this.logger.info(`  total                ${formatMs(totalMs)}`);
+    this.logger.info(`  ${formatCount(directoryReads, 'directory read', 'directory reads')}, ${formatCount(statCalls, 'stat call', 'stat calls')}`);
+  }
+
+  // Compare freshly generated output with the existing output file without writing anything.
+  // Returns true when the file is up to date.
+  check(output, outputFile = path.join(this.options.outputPath, this.options.outputName)) {
+    let existing;
+    try {
+      existing = fs.readFileSync(outputFile, 'utf8');
+    } catch (err) {
+      this.logger.error(`❌ ${outputFile} does not exist. Run ascii-tree-generator without --check to create it.`);
+      return false;
+    }
+    
+    // Ignore CRLF conversions done by git on checkout
+    const normalizedExisting = existing.replace(/\r\n/g, '\n');
+    const normalizedOutput = output.replace(/\r\n/g, '\n');
+    if (normalizedExisting === normalizedOutput) {
+      this.logger.info(`✅ ${outputFile} is up to date`);
+      return true;
+    }
+    
+    const outputLabel = toPosix(outputFile);
+    this.logger.output(createUnifiedDiff(normalizedExisting, normalizedOutput, `a/${outputLabel}`, `b/${outputLabel}`));
+    this.logger.error(`❌ ${outputFile} is out of date. Run ascii-tree-generator to regenerate it.`);
+    return false;
+  }
+
+  // Replace the content of every marker block with a freshly generated tree in a fenced code block.
+  // Options on the start marker (e.g. `max-depth=2`) override the generator's options for that block.
+  // Everything outside the blocks is left byte-for-byte unchanged.
+  injectTree(content, file) {
+    const newline = content.includes('\r\n') ? '\r\n' : '\n';
+    let blockCount = 0;
+    
+    const updated = content.replace(INJECT_MARKER_REGEX, (match, startMarker, markerOptions, body, endMarker) => {
+      blockCount++;
+      
+      const blockOptions = parseMarkerOptions(markerOptions);
+      const generator = Object.keys(blockOptions).length === 0
+        ? this
+        : new AsciiTreeGenerator({ ...this.options, ...blockOptions });
+      
+      const output = generator.generateOutput();
+      const block = fenceCodeBlock(output, FENCE_LANGUAGES[generator.options.format]);
+      
+      return startMarker + newline + block.split('\n').join(newline) + endMarker;
+    });
+    
+    const startCount = (content.match(INJECT_START_REGEX) || []).length;
+    if (startCount === 0) {
+      throw new Error(`No <!-- ascii-tree:start --> markers found in ${file}`);
+    }
+    if (startCount !== blockCount) {
+      throw new Error(`Every <!-- ascii-tree:start --> marker in ${file} needs its own <!-- ascii-tree:end --> marker`);
+    }
+    
+    return { content: updated, blockCount };
+  }
+
+  // Update, preview or check the marker blocks of the --inject file
+  runInject() {
+    const file = this.options.inject;
+    const content = fs.readFileSync(file, 'utf8');
+    const { content: updated, blockCount } = this.injectTree(content, file);
+    
+    if (this.options.check) {
+      return this.check(updated, file);
+    }
+    
+    if (this.options.stdout) {
+      this.logger.output(updated.replace(/\n$/, ''));
+      return true;
+    }
+    
+    if (this.options.dryRun) {
+      this.logger.info('=== DRY RUN ===');
+      if (updated === content) {
+        this.logger.info(`${file} is already up to date`);
+      } else {
+        this.logger.info(`Would update ${blockCount} tree block(s) in ${file}:`);
+        this.logger.output(createUnifiedDiff(content, updated, `a/${toPosix(file)}`, `b/${toPosix(file)}`));
+      }
+      return true;
+    }
+    
+    if (updated === content) {
+      this.logger.info(`${file} is already up to date`);
+      return true;
+    }
+    
+    fs.writeFileSync(file, updated);
+    this.logger.info(`Updated ${blockCount} tree block(s) in ${file}`);
+    return true;
+  }
+
+  // Generate the tree and save, preview or check it. Returns false when --check finds a stale file.
+  run() {
+    if (this.options.inject) {
+      return this.runInject();
+    }
+    
+    return this.saveOutput(this.generateOutput());
+  }
+
+  // run() with the configured walker. --inject blocks are still generated synchronously.
+  async runAsync() {
+    if (this.options.inject) {
+      return this.runInject();
+    }
+    
+    return this.saveOutput(await this.generateOutputAsync());
+  }
+
+  // Save, preview or check generated output, then print --stats-timing
+  saveOutput(output) {
+    const result = this.writeOutput(output);
+    if (this.options.statsTiming) {
+      this.logStats();
+    }
+    return result;
+  }
+
+  writeOutput(output) {
+    if (this.options.check) {
+      return this.check(output);
+    }
+    
+    // --report is never written to a file
+    if (this.options.stdout || this.options.report) {
+      this.logger.output(output.replace(/\n$/, ''));
+      return true;
+    }
+    
+    if (this.options.dryRun) {
+      this.logger.info('=== DRY RUN ===');
+      this.logger.info('Would generate:');
+      this.logger.output(output);
+      this.logger.info(`Would save to: ${path.join(this.options.outputPath, this.options.outputName)}`);
+      return true;
+    }
+    
+    if (!fs.existsSync(this.options.outputPath)) {
+      fs.mkdirSync(this.options.outputPath, { recursive: true });
+    }
+    
+    const outputFile = path.join(this.options.outputPath, this.options.outputName);
+    if (this.options.watch && fs.existsSync(outputFile) && fs.readFileSync(outputFile, 'utf8') === output) {
+      this.logger.info(`${outputFile} is already up to date`);
+      return true;
+    }
+    fs.writeFileSync(outputFile, output);
+    
+    this.logger.info(`Project structure saved to: ${outputFile}`);
+    return true;
+  }
+
+  // Generate once, then regenerate whenever entries are added, removed or renamed until the process is stopped.
+  // Events are debounced, paths the tree would not show are skipped, and .gitignore or notes changes reload the rules.
+  watch() {
+    if (this.options.check) {
+      throw new Error('--watch cannot be combined with --check');
+    }
+    
+    this.options.watch = true;
+    this.watchers = new Map();
+    this.watchTimer = null;
+    this.pendingChanges = new Set();
+    // Writing the output must not trigger another run
+    this.watchOutputFile = path.resolve(this.options.inject || path.join(this.options.outputPath, this.options.outputName));
+    
+    this.run();
+    this.updateWatchers();
+    this.logger.info('Watching for changes (press Ctrl+C to stop)...');
+  }
+
+  // Watch every directory that is part of a tree and close watchers of directories that are gone or now ignored
+  updateWatchers() {
+    const directories = new Map();
+    this.options.roots.forEach(root => {
+      this.loadRoot(root);
+      this.collectWatchDirectories(this.projectRoot, this.projectRoot, directories, this.createAncestorSet(this.projectRoot));
+    });
+    
+    for (const [dir, watcher] of this.watchers) {
+      if (!directories.has(dir)) {
+        watcher.close();
+        this.watchers.delete(dir);
+      }
+    }
+    
+    for (const [dir, projectRoot] of directories) {
+      if (this.watchers.has(dir)) continue;
+      
+      try {
+        const watcher = fs.watch(dir, (eventType, filename) => {
+          this.handleWatchEvent(projectRoot, dir, eventType, filename);
+        });
+        watcher.on('error', () => {
+          watcher.close();
+          this.watchers.delete(dir);
+        });
+        this.watchers.set(dir, watcher);
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          this.logger.warn(`Warning: Cannot watch ${dir}: ${err.message}`);
+        }
+      }
+    }
+  }
+
+  // Collect a directory and its non-ignored subdirectories, mapped to their project root
+  collectWatchDirectories(dirPath, projectRoot, directories, ancestors) {
+    directories.set(dirPath, projectRoot);
+    
+    this.walkDirectory(dirPath, ancestors, () => {
+      let items;
+      try {
+        items = fs.readdirSync(dirPath);
+      } catch (err) {
+        return;
+      }
+      
+      items.forEach(item => {
+        const fullPath = path.join(dirPath, item);
+        let entry;
+        try {
+          entry = this.statEntry(fullPath);
+        } catch (err) {
+          return;
+        }
+        
+        if (entry.isDirectory && this.shouldIncludeItem(item, path.relative(projectRoot, fullPath), true)) {
+          this.collectWatchDirectories(fullPath, projectRoot, directories, ancestors);
+        }
+      });
+    });
+  }
+
+  // Schedule a regeneration for a filesystem event unless the path cannot change the output
+  handleWatchEvent(projectRoot, dir, eventType, filename) {
+    const fullPath = filename ? path.join(dir, filename.toString()) : dir;
+    if (fullPath === this.watchOutputFile) return;
+    
+    const name = path.basename(fullPath);
+    const relativePath = path.relative(projectRoot, fullPath);
+    const notesFile = this.options.notes === DEFAULT_NOTES_FILE
+      ? path.join(projectRoot, DEFAULT_NOTES_FILE)
+      : this.options.notes && path.resolve(this.options.notes);
+    
+    if (name === '.gitignore' || fullPath === notesFile) {
+      // Forces loadRoot() to rebuild the .gitignore hierarchy and notes
+      this.projectRoot = null;
+    } else {
+      if (eventType === 'change' && !this.needsContentWatch()) return;
+      
+      let isDirectory = this.watchers.has(fullPath);
+      try {
+        isDirectory = this.statEntry(fullPath).isDirectory;
+      } catch (err) {
+        // Removed, fall back to whether it was a watched directory
+      }
+      
+      this.loadRoot(projectRoot);
+      if (relativePath && !this.shouldIncludeItem(name, relativePath, isDirectory)) return;
+    }
+    
+    this.pendingChanges.add(toPosix(path.relative(process.cwd(), fullPath)) || '.');
+    clearTimeout(this.watchTimer);
+    this.watchTimer = setTimeout(() => this.regenerate(), WATCH_DEBOUNCE_MS);
+  }
+
+  // Rerun after a debounced batch of changes. Errors are reported and watching continues.
+  regenerate() {
+    this.logger.info(`\nChanged: ${[...this.pendingChanges].join(', ')}`);
+    this.pendingChanges.clear();
+    
+    try {
+      this.run();
+      this.updateWatchers();
+    } catch (error) {
+      this.logger.error('Error:', error.message);
+    }
+  }
+
+  // Content edits only matter when the tree shows or depends on sizes, line counts or times
+  needsContentWatch() {
+    const { showSize, showLines, showMtime, minSize, maxSize, sort, comparator } = this.options;
+    return showSize || showLines || showMtime || minSize > 0 || maxSize < Infinity ||
+      sort === 'size' || sort === 'mtime' || Boolean(comparator);
+  }
+
+  // Flat map of the entries the tree shows for the current project root, keyed by posix path (diff command)
+  collectTreeEntries() {
+    const entries = new Map();
+    flattenNodes(this.buildRootNode()).slice(1).forEach(({ node }) => {
+      entries.set(node.path, {
+        path: node.path,
+        type: node.type,
+        size: node.size,
+        fullPath: path.join(this.projectRoot, node.path)
+      });
+    });
+    return entries;
+  }
+
+  // Entries of the project root at a git ref, filtered like the working tree
+  collectGitRefEntries(ref) {
+    if (!this.projectRoot) this.loadRoot(this.options.roots[0]);
+    
+    if (!findGitRepository(this.projectRoot)) {
+      throw new Error(`--since needs a git repository, but ${this.projectRoot} is not inside one`);
+    }
+    
+    const entries = runGit(['ls-tree', '-r', '-t', '-l', '-z', ref, '--', '.'], this.projectRoot)
+      .split('\0')
+      .map(record => /^(\d+) (\w+) ([0-9a-f]+)\s+(\S+)\t(.*)$/.exec(record))
+      // The tree of the directory itself is listed as "./"
+      .filter(match => match && !match[5].endsWith('/'))
+      .map(([, mode, objectType, hash, size, entryPath]) => ({
+        path: entryPath,
+        type: objectType === 'blob' ? (mode === '120000' ? 'symlink' : 'file') : 'directory',
+        size: size === '-' ? 0 : Number(size),
+        hash
+      }));
+    
+    return this.filterEntries(entries);
+  }
+
+  // Apply the tree's filters to a flat entry list: ignore rules, include/exclude patterns, size limits
+  // and --max-depth. Entries below a filtered directory go with it. Returns a Map keyed by path.
+  filterEntries(entries) {
+    const kept = new Map();
+    
+    entries
+      .slice()
+      .sort((a, b) => a.path.split('/').length - b.path.split('/').length)
+      .forEach(entry => {
+        const parts = entry.path.split('/');
+        const parentPath = parts.slice(0, -1).join('/');
+        if (parentPath && !kept.has(parentPath)) return;
+        if (parts.length > this.options.maxDepth + 1) return;
+        if (!this.shouldIncludeItem(parts[parts.length - 1], entry.path, entry.type === 'directory')) return;
+        if (entry.type === 'file' && entry.size !== undefined && !this.isWithinSizeLimits(entry.size)) return;
+        
+        kept.set(entry.path, entry);
+      });
+    
+    return kept;
+  }
+
+  // Render a diffEntries() result as a text tree with +, - and → markers (or JSON with --format json)
+  renderDiff({ root, summary }, name) {
+    if (this.options.format === 'json') {
+      return JSON.stringify({ ...root, name, summary }, null, 2) + '\n';
+    }
+    
+    const { groupDirs, caseSensitive, dirSlash } = this.options;
+    const lines = [`${name}/`];
+    
+    const renderChildren = (node, prefix) => {
+      const children = node.children.slice().sort((a, b) => {
+        if (groupDirs !== 'mixed' && Boolean(a.children) !== Boolean(b.children)) {
+          return (a.children ? -1 : 1) * (groupDirs === 'first' ? 1 : -1);
+        }
+        return compareText(a.name, b.name, caseSensitive);
+      });
+      const hasUnchangedLine = Boolean(node.unchanged) && children.length > 0;
+      
+      children.forEach((child, index) => {
+        const isLast = index === children.length - 1 && !hasUnchangedLine;
+        const details = [];
+        if (child.from) {
+          details.push(`from ${child.from}`);
+        }
+        if (child.unchanged && child.children.length === 0) {
+          details.push(`${formatEntryCounts(child.unchanged)} unchanged`);
+        }
+        
+        const marker = child.change ? `${child.change} ` : '';
+        const slash = dirSlash && child.children ? '/' : '';
+        const suffix = details.length > 0 ? ` (${details.join(', ')})` : '';
+        lines.push(`${prefix}${isLast ? this.connectors.last : this.connectors.branch}${marker}${child.name}${slash}${suffix}`);
+        
+        if (child.children && child.children.length > 0) {
+          renderChildren(child, prefix + (isLast ? this.connectors.space : this.connectors.vertical));
+        }
+      });
+      
+      if (hasUnchangedLine) {
+        lines.push(`${prefix}${this.connectors.last}… ${formatEntryCounts(node.unchanged)} unchanged`);
+      }
+    };
+    renderChildren(root, '');
+    
+    const { added, removed, renamed } = summary;
+    lines.push('', added + removed + renamed === 0
+      ? 'No changes'
+      : `${added} added, ${removed} removed, ${renamed} renamed`);
+    
+    return lines.join('\n') + '\n';
+  }
+}
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+}
+
+const POSIX_CHARACTER_CLASSES = {
+  alnum: 'a-zA-Z0-9',
+  alpha: 'a-zA-Z',
+  blank: ' \\t',
+  digit: '0-9',
+  lower: 'a-z',
+  punct: '!-\\/:-@\\[-`{-~',
+  space: ' \\t\\n\\r\\f\\v',
+  upper: 'A-Z',
+  xdigit: '0-9A-Fa-f'
+};
+
+// Translate a gitignore glob (without leading "!" or trailing "/") into a regex source.
+// "*", "?" and character classes never match "/", "**" spans directories.
+function globToRegexSource(glob) {
+  let source = '';
+  
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    
+    if (char === '\\' && i + 1 < glob.length) {
+      source += escapeRegex(glob[++i]);
+    } else if (char === '*') {
+      if (glob[i + 1] === '*') {
+        const atSegmentStart = i === 0 || glob[i - 1] === '/';
+        const atSegmentEnd = i + 2 === glob.length || glob[i + 2] === '/';
+        
+        if (atSegmentStart && atSegmentEnd) {
+          if (i + 2 === glob.length) {
+            // Trailing "**" matches everything inside
+            source += '.*';
+            i += 1;
+          } else {
+            // Leading or middle "**/" matches zero or more directories
+            source += '(?:.*/)?';
+            i += 2;
+          }
+          continue;
+        }
+        
+        // Any other run of asterisks behaves like a single one
+        while (glob[i + 1] === '*') i++;
+      }
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const classEnd = findCharacterClassEnd(glob, i);
+      if (classEnd === -1) {
+        source += '\\[';
+        continue;
+      }
+      
+      let body = glob.slice(i + 1, classEnd);
+      const isNegated = body.startsWith('!') || body.startsWith('^');
+      if (isNegated) body = body.slice(1);
+      
+      body = body
+        .replace(/\[:(\w+):\]/g, (match, name) => POSIX_CHARACTER_CLASSES[name] || '')
+        .replace(/^\]/, '\\]');
+      
+      source += isNegated ? `[^/${body}]` : `[${body}]`;
+      i = classEnd;
+    } else {
+      source += escapeRegex(char);
+    }
+  }
+  
+  return source;
+}
+
+// Find the closing bracket of a character class, or -1 when the "[" is literal
+function findCharacterClassEnd(glob, start) {
+  let i = start + 1;
+  if (glob[i] === '!' || glob[i] === '^') i++;
+  if (glob[i] === ']') i++;
+  
+  while (i < glob.length) {
+    if (glob[i] === '[' && glob[i + 1] === ':') {
+      const posixEnd = glob.indexOf(':]', i + 2);
+      if (posixEnd !== -1) {
+        i = posixEnd + 2;
+        continue;
+      }
+    }
+    if (glob[i] === '\\') {
+      i += 2;
+      continue;
+    }
+    if (glob[i] === ']') return i;
+    i++;
+  }
+  
+  return -1;
+}
+
+// Parse a single .gitignore line following git's documented rules, or return null for blanks and comments
+function parseGitignoreLine(rawLine) {
+  let line = rawLine.replace(/\r$/, '');
+  
+  // Trailing spaces are ignored unless escaped with a backslash
+  while (line.endsWith(' ') && !line.endsWith('\\ ')) {
+    line = line.slice(0, -1);
+  }
+  
+  // Skip empty lines and comments ("\#" escapes a literal hash)
+  if (!line || line.startsWith('#')) return null;
+  
+  // Handle negation patterns ("\!" escapes a literal exclamation mark)
+  const isNegation = line.startsWith('!');
+  const pattern = isNegation ? line.slice(1) : line;
+  
+  // A trailing slash only matches directories
+  let glob = pattern;
+  const dirOnly = glob.endsWith('/');
+  if (dirOnly) {
+    glob = glob.replace(/\/+$/, '');
+  }
+  if (!glob) return null;
+  
+  // A slash at the beginning or in the middle anchors the pattern to the .gitignore's directory,
+  // otherwise the pattern matches a name at any level
+  const anchored = glob.includes('/');
+  if (glob.startsWith('/')) {
+    glob = glob.slice(1);
+  }
+  
+  return {
+    pattern,
+    isNegation,
+    anchored,
+    dirOnly,
+    regex: new RegExp(`${anchored ? '^' : '(?:^|/)'}${globToRegexSource(glob)}$`)
+  };
+}
+
+// Compile --include/--exclude globs. They use .gitignore syntax relative to the root being rendered,
+// except that a trailing slash anchors too: "src/" is the top-level src, "**/src/" any of them.
+function compileFilterRules(globs) {
+  return globs
+    .map(glob => {
+      const negation = glob.startsWith('!') ? '!' : '';
+      const pattern = glob.slice(negation.length);
+      const rule = parseGitignoreLine(pattern.includes('/') && !pattern.startsWith('/') ? `${negation}/${pattern}` : glob);
+      return rule && { ...rule, glob };
+    })
+    .filter(Boolean);
+}
+
+// Read an optional ignore file, returning null when it does not exist
+function readIgnoreFile(filePath, logger) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT' && err.code !== 'ENOTDIR') {
+      logger.warn(`Warning: Could not read ${filePath}: ${err.message}`);
+    }
+    return null;
+  }
+}
+
+// Find the enclosing git repository: its working tree root and the (common) git directory
+function findGitRepository(startDir) {
+  for (let dir = path.resolve(startDir); ; dir = path.dirname(dir)) {
+    const dotGit = path.join(dir, '.git');
+    
+    try {
+      const stats = fs.statSync(dotGit);
+      if (stats.isDirectory()) {
+        return { worktree: dir, gitDir: dotGit };
+      }
+      
+      // Worktrees and submodules use a ".git" file pointing at the real git directory
+      const match = /^gitdir:\s*(.+)$/m.exec(fs.readFileSync(dotGit, 'utf8'));
+      if (match) {
+        let gitDir = path.resolve(dir, match[1].trim());
+        const commonDirFile = path.join(gitDir, 'commondir');
+        if (fs.existsSync(commonDirFile)) {
+          gitDir = path.resolve(gitDir, fs.readFileSync(commonDirFile, 'utf8').trim());
+        }
+        return { worktree: dir, gitDir };
+      }
+    } catch (err) {
+      // No .git here, keep walking up
+    }
+    
+    if (dir === path.dirname(dir)) return null;
+  }
+}
+
+// Run a git command and return its stdout
+function runGit(args, cwd) {
+  try {
+    return childProcess.execFileSync('git', args, {
+      cwd,
+      encoding: 'utf8',
+      maxBuffer: 256 * 1024 * 1024,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new Error('git is not installed or not on your PATH');
+    }
+    throw new Error(`git ${args[0]} failed in ${cwd}: ${String(err.stderr || err.message).trim()}`);
+  }
+}
+
+// Short status marker for a `git status --porcelain` XY code
+function gitStatusMarker(code) {
+  if (['DD', 'AU', 'UD', 'UA', 'DU', 'AA', 'UU'].includes(code)) return 'U';
+  if (code === '??') return '??';
+  if (code.includes('D')) return 'D';
+  if (code[0] === 'A' || code[0] === 'R' || code[0] === 'C') return code[0];
+  return 'M';
+}
+
+// Ask git what lives below a directory: tracked files plus untracked files that are not ignored
+// (or only changed paths with statusOnly). Returns the child names of every directory and the
+// status marker of every changed path, both keyed by posix paths relative to the directory.
+function listGitEntries(cwd, statusOnly = false) {
+  if (!findGitRepository(cwd)) {
+    throw new Error(`--git needs a git repository, but ${cwd} is not inside one`);
+  }
+  
+  const prefix = runGit(['rev-parse', '--show-prefix'], cwd).trim();
+  
+  const status = new Map();
+  const fields = runGit(['status', '--porcelain', '-z', '--untracked-files=all', '--', '.'], cwd).split('\0');
+  for (let i = 0; i < fields.length; i++) {
+    if (fields[i].length < 4) continue;
+    
+    const code = fields[i].slice(0, 2);
+    const filePath = fields[i].slice(3);
+    // Renames and copies are followed by their original path
+    if (code[0] === 'R' || code[0] === 'C') i++;
+    
+    if (filePath.startsWith(prefix)) {
+      status.set(filePath.slice(prefix.length), gitStatusMarker(code));
+    }
+  }
+  
+  const files = statusOnly ? [...status.keys()] : [
+    ...runGit(['ls-files', '-z', '--cached', '--others', '--exclude-standard'], cwd).split('\0').filter(Boolean),
+    ...status.keys()
+  ];
+  
+  const children = new Map();
+  files.forEach(file => {
+    // Nested repositories are listed as "dir/"
+    const parts = file.replace(/\/$/, '').split('/');
+    for (let i = 0; i < parts.length; i++) {
+      const dir = parts.slice(0, i).join('/');
+      if (!children.has(dir)) {
+        children.set(dir, new Set());
+      }
+      children.get(dir).add(parts[i]);
+    }
+  });
+  
+  return { children, status };
+}
+
+// Resolve core.excludesFile, falling back to git's default of $XDG_CONFIG_HOME/git/ignore
+function findGlobalExcludesFile(cwd) {
+  try {
+    const configured = childProcess.execFileSync('git', ['config', '--path', '--get', 'core.excludesFile'], {
+      cwd,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim();
+    
+    if (configured) {
+      return configured.startsWith('~/') ? path.join(os.homedir(), configured.slice(2)) : path.resolve(cwd, configured);
+    }
+  } catch (err) {
+    // Not configured or git is not installed
+  }
+  
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'git', 'ignore');
+}
+
+// Display name of a node in the text tree, including symlink targets and markers
+function formatNodeName(node, dirSlash = false) {
+  let name = node.name;
+  
+  if (dirSlash && node.type === 'directory') name += '/';
+  if (node.type === 'symlink') {
+    name += ` -> ${node.target}`;
+    if (node.broken) name += ' [broken]';
+  }
+  if (node.cycle) name += ' [cycle]';
+  if (node.status) name += ` [${node.status}]`;
+  
+  return name;
+}
+
+// Above this many differences the diff falls back to replacing the whole file,
+// so memory stays bounded on completely rewritten trees
+const MAX_DIFF_DISTANCE = 2000;
+
+// Line-based diff (Myers' algorithm). Returns a list of { type: ' ' | '-' | '+', line }.
+function diffLines(oldLines, newLines) {
+  // Common prefix and suffix are cheap to strip and keep the search small
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+         oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+    suffix++;
+  }
+  
+  const a = oldLines.slice(prefix, oldLines.length - suffix);
+  const b = newLines.slice(prefix, newLines.length - suffix);
+  const equal = lines => lines.map(line => ({ type: ' ', line }));
+  
+  let middle = null;
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_DIFF_DISTANCE);
+  const offset = max + 1;
+  const v = new Array(2 * max + 3).fill(0);
+  const trace = [];
+  
+  search:
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d, offset + d + 1));
+    
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      
+      if (x >= n && y >= m) {
+        middle = backtrackDiff(trace, a, b);
+        break search;
+      }
+    }
+  }
+  
+  if (!middle) {
+    middle = [
+      ...a.map(line => ({ type: '-', line })),
+      ...b.map(line => ({ type: '+', line }))
+    ];
+  }
+  
+  return [
+    ...equal(oldLines.slice(0, prefix)),
+    ...middle,
+    ...equal(oldLines.slice(oldLines.length - suffix))
+  ];
+}
+
+function backtrackDiff(trace, a, b) {
+  const edits = [];
+  let x = a.length;
+  let y = b.length;
+  
+  for (let d = trace.length - 1; d >= 0; d--) {
+    // trace[d] holds the furthest x for diagonals -d..d, stored from index 0
+    const v = k => trace[d][k + d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && v(k - 1) < v(k + 1))) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : v(prevK);
+    const prevY = prevX - prevK;
+    
+    while (x > prevX && y > prevY) {
+      edits.push({ type: ' ', line: a[x - 1] });
+      x--;
+      y--;
+    }
+    
+    if (d > 0) {
+      if (x === prevX) {
+        edits.push({ type: '+', line: b[y - 1] });
+      } else {
+        edits.push({ type: '-', line: a[x - 1] });
+      }
+      x = prevX;
+      y = prevY;
+    }
+  }
+  
+  return edits.reverse();
+}
+
+// Render a unified diff (like `diff -u`) between two texts
+function createUnifiedDiff(oldText, newText, oldLabel, newLabel, context = 3) {
+  const splitLines = text => {
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+  };
+  
+  const edits = diffLines(splitLines(oldText), splitLines(newText));
+  const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  
+  let i = 0;
+  while (i < edits.length) {
+    // Find the next change and open a hunk with leading context
+    while (i < edits.length && edits[i].type === ' ') i++;
+    if (i >= edits.length) break;
+    
+    let start = Math.max(0, i - context);
+    let end = i;
+    
+    // Extend the hunk while changes are closer than twice the context
+    while (end < edits.length) {
+      if (edits[end].type !== ' ') {
+        end++;
+        continue;
+      }
+      let nextChange = end;
+      while (nextChange < edits.length && edits[nextChange].type === ' ') nextChange++;
+      if (nextChange < edits.length && nextChange - end <= context * 2) {
+        end = nextChange;
+      } else {
+        end = Math.min(edits.length, end + context);
+        break;
+      }
+    }
+    
+    // Line numbers of the hunk start in both files
+    let oldStart = 1;
+    let newStart = 1;
+    for (let j = 0; j < start; j++) {
+      if (edits[j].type !== '+') oldStart++;
+      if (edits[j].type !== '-') newStart++;
+    }
+    
+    const hunk = edits.slice(start, end);
+    const oldCount = hunk.filter(edit => edit.type !== '+').length;
+    const newCount = hunk.filter(edit => edit.type !== '-').length;
+    const formatRange = (lineStart, count) => {
+      if (count === 0) return `${lineStart - 1},0`;
+      return count === 1 ? `${lineStart}` : `${lineStart},${count}`;
+    };
+    
+    output.push(`@@ -${formatRange(oldStart, oldCount)} +${formatRange(newStart, newCount)} @@`);
+    hunk.forEach(edit => output.push(`${edit.type}${edit.line}`));
+    
+    i = end;
+  }
+  
+  return output.join('\n');
+}
+
+// Tree drawing prefixes in front of an entry name: connectors of every built-in style, the `tree` command's
+// ASCII charset and plain indentation. A connector character only counts when whitespace follows its dashes.
+const TREE_PREFIX_REGEX = /^(?:[│┃║|├└┣┗╠╚╰`+\\][─━═-]*\s+|\s+)*/;
+const TREE_CONNECTOR_REGEX = /[│┃║|├└┣┗╠╚╰`+\\]/;
+
+// Lines that describe a tree but are not entries: truncation summaries, the `tree` command's report and --summary
+const TREE_SUMMARY_REGEX = /^(?:…|(?:[\d,]+ director(?:y|ies)(?:, [\d,]+ files?)?|[\d,]+ files?)(?:, [\d.]+ (?:B|KB|MB|GB|TB))?$)/;
+
+// Status, symlink and cycle markers and the annotation parts that formatNodeName()/formatAnnotations() append
+const TREE_MARKERS_REGEX = /(?: \[(?:broken|cycle|M|A|R|C|D|U|\?\?)\])+$/;
+const TREE_ANNOTATION_PART_REGEX = /^(?:[\d.]+ (?:B|KB|MB|GB|TB)|[\d,]+ lines?|\d{4}-\d\d-\d\d \d\d:\d\d)$/;
+
+// Parse a text tree (this tool's output in any style, the `tree` command's output or plain indentation)
+// into { name, children } nodes. Depth comes from the column each name starts at, so any indent width works.
+// Notes, annotations and markers are stripped, "a/b/c" chains become nested directories and names ending
+// in "/" or having children are directories. A header line becomes the root name.
+function parseTree(text) {
+  const lines = text.split('\n')
+    .map(line => line.replace(/\r$/, '').replace(/\s+$/, ''))
+    .filter(line => line.trim() && !TREE_SUMMARY_REGEX.test(line.replace(TREE_PREFIX_REGEX, '')));
+  
+  const top = { name: null, type: 'directory', children: [] };
+  const stack = [{ column: -1, node: top }];
+  
+  lines.forEach(line => {
+    const column = TREE_PREFIX_REGEX.exec(line)[0].length;
+    const entry = parseTreeEntry(line.slice(column));
+    
+    while (stack[stack.length - 1].column >= column) {
+      stack.pop();
+    }
+    
+    let parent = stack[stack.length - 1].node;
+    parent.type = 'directory';
+    parent.children = parent.children || [];
+    
+    // Intermediate directories of a compacted chain or a path
+    entry.parts.slice(0, -1).forEach(part => {
+      let directory = parent.children.find(child => child.name === part && child.children);
+      if (!directory) {
+        directory = { name: part, type: 'directory', children: [] };
+        parent.children.push(directory);
+      }
+      parent = directory;
+    });
+    
+    const node = { name: entry.parts[entry.parts.length - 1], type: entry.type };
+    if (entry.target !== undefined) {
+      node.target = entry.target;
+    }
+    if (entry.type === 'directory') {
+      node.children = [];
+    }
+    parent.children.push(node);
+    stack.push({ column, node });
+  });
+  
+  // A single top-level directory is the header when connector lines follow it (like "." from `tree`)
+  // or when it is written with a trailing slash, like the "my-project/" header of every output style
+  const hasHeader = top.children.length === 1 && lines.length > 1 &&
+    !TREE_CONNECTOR_REGEX.test(TREE_PREFIX_REGEX.exec(lines[0])[0]) &&
+    (TREE_CONNECTOR_REGEX.test(TREE_PREFIX_REGEX.exec(lines[1])[0]) || parseTreeEntry(lines[0]).type === 'directory');
+  if (hasHeader && top.children[0].children) {
+    return { name: top.children[0].name, children: top.children[0].children };
+  }
+  
+  return { name: null, children: top.children };
+}
+
+// Split one entry of a text tree into its path parts and type, dropping notes, annotations and markers
+function parseTreeEntry(text) {
+  let name = text.replace(/\s{2,}#(?: .*)?$/, '');
+  
+  const annotation = / \(([^()]*)\)$/.exec(name);
+  if (annotation && annotation[1].split(', ').every(part => TREE_ANNOTATION_PART_REGEX.test(part))) {
+    name = name.slice(0, annotation.index);
+  }
+  name = name.replace(TREE_MARKERS_REGEX, '');
+  
+  let target;
+  const arrow = name.indexOf(' -> ');
+  if (arrow !== -1) {
+    target = name.slice(arrow + 4);
+    name = name.slice(0, arrow);
+  }
+  
+  const isDirectory = name.endsWith('/');
+  const parts = name.split('/').filter(part => part && part !== '.');
+  
+  return {
+    parts: parts.length > 0 ? parts : [name],
+    type: target !== undefined ? 'symlink' : (isDirectory ? 'directory' : 'file'),
+    target
+  };
+}
+
+// Read a saved tree (text, json or ndjson output) as { name, entries } with entries listed parents first
+function readTreeSnapshot(file) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new Error(`Could not read tree file ${file}: ${err.message}`);
+  }
+  
+  const trimmed = content.trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    let roots;
+    try {
+      roots = JSON.parse(trimmed);
+    } catch (err) {
+      // Not a single JSON document, try one node per line (ndjson)
+      const entries = trimmed.split('\n').map(line => JSON.parse(line)).filter(node => node.path);
+      return { name: null, entries };
+    }
+    
+    const rootNodes = Array.isArray(roots) ? roots : [roots];
+    const entries = [];
+    rootNodes.forEach(rootNode => flattenNodes(rootNode).slice(1).forEach(({ node }) => {
+      const { children, ...fields } = node;
+      entries.push(fields);
+    }));
+    return { name: rootNodes.length === 1 ? rootNodes[0].name : null, entries };
+  }
+  
+  const tree = parseTree(content);
+  const entries = [];
+  const collect = (nodes, parentPath) => nodes.forEach(node => {
+    const nodePath = parentPath ? `${parentPath}/${node.name}` : node.name;
+    entries.push({ path: nodePath, type: node.type });
+    if (node.children) {
+      collect(node.children, nodePath);
+    }
+  });
+  collect(tree.children, '');
+  
+  return { name: tree.name, entries };
+}
+
+// Object id git would give a file's content, used to recognise renamed files
+function gitBlobHash(filePath) {
+  const content = fs.readFileSync(filePath);
+  return crypto.createHash('sha1').update(`blob ${content.length}\0`).update(content).digest('hex');
+}
+
+// Pair removed and added files that are the same file in a new place. Returns a Map of new path -> old path.
+// By content (git object ids) when both sides know it, otherwise by a name (and size) that is unique on both sides.
+// Empty files all share one id, so they are never paired by content.
+function detectRenames(removed, added, byContent) {
+  // Text snapshots carry no sizes, so sizes only count when every candidate has one
+  const useSize = [...removed, ...added].every(entry => entry.type !== 'file' || entry.size !== undefined);
+  const keyOf = entry => {
+    if (entry.type !== 'file') return null;
+    if (byContent) {
+      if (!entry.size) return null;
+      if (!entry.hash) {
+        entry.hash = gitBlobHash(entry.fullPath);
+      }
+      return entry.hash;
+    }
+    return useSize ? `${path.posix.basename(entry.path)}\0${entry.size}` : path.posix.basename(entry.path);
+  };
+  
+  const group = entries => entries.reduce((groups, entry) => {
+    const key = keyOf(entry);
+    if (key !== null) {
+      groups.set(key, [...(groups.get(key) || []), entry]);
+    }
+    return groups;
+  }, new Map());
+  
+  const removedGroups = group(removed);
+  const renames = new Map();
+  for (const [key, newEntries] of group(added)) {
+    const oldEntries = removedGroups.get(key);
+    if (!oldEntries || (!byContent && (oldEntries.length > 1 || newEntries.length > 1))) continue;
+    
+    newEntries.slice(0, oldEntries.length).forEach((entry, index) => {
+      renames.set(entry.path, oldEntries[index].path);
+    });
+  }
+  
+  return renames;
+}
+
+// A removed directory whose files were all renamed into one added directory, keeping their relative paths,
+// was renamed as a whole. Returns a Map of new directory path -> old directory path.
+function detectDirectoryRenames(oldEntries, newEntries, renames) {
+  const oldToNew = new Map([...renames].map(([newPath, oldPath]) => [oldPath, newPath]));
+  const filesBelow = (entries, dir) => [...entries.values()]
+    .filter(entry => entry.path.startsWith(`${dir}/`) && entry.type !== 'directory')
+    .map(entry => entry.path);
+  
+  const directoryRenames = new Map();
+  const removedDirectories = [...oldEntries.values()]
+    .filter(entry => entry.type === 'directory' && !newEntries.has(entry.path))
+    .sort((a, b) => a.path.length - b.path.length);
+  
+  removedDirectories.forEach(({ path: oldDir }) => {
+    if ([...directoryRenames.values()].some(renamed => oldDir.startsWith(`${renamed}/`))) return;
+    
+    const oldFiles = filesBelow(oldEntries, oldDir);
+    let newDir = null;
+    const isRenamed = oldFiles.length > 0 && oldFiles.every(oldFile => {
+      const newFile = oldToNew.get(oldFile);
+      const suffix = oldFile.slice(oldDir.length);
+      if (!newFile || !newFile.endsWith(suffix)) return false;
+      
+      const candidate = newFile.slice(0, -suffix.length);
+      newDir = newDir === null ? candidate : newDir;
+      return candidate === newDir;
+    });
+    
+    const target = isRenamed && newEntries.get(newDir);
+    if (target && target.type === 'directory' && !oldEntries.has(newDir) &&
+        filesBelow(newEntries, newDir).length === oldFiles.length) {
+      directoryRenames.set(newDir, oldDir);
+    }
+  });
+  
+  return directoryRenames;
+}
+
+// Merge two flat entry maps into one tree of { name, path, type, change, from, unchanged, children } nodes.
+// change is "+" (added), "-" (removed) or "→" (renamed, listed at the new path with `from`).
+function diffEntries(oldEntries, newEntries, byContent) {
+  const removed = [...oldEntries.values()].filter(entry => !newEntries.has(entry.path));
+  const added = [...newEntries.values()].filter(entry => !oldEntries.has(entry.path));
+  const renames = detectRenames(removed, added, byContent);
+  const directoryRenames = detectDirectoryRenames(oldEntries, newEntries, renames);
+  
+  const isBelow = (entryPath, dirs) => dirs.some(dir => entryPath.startsWith(`${dir}/`));
+  const movedAway = new Set(renames.values());
+  const oldRenamedDirectories = [...directoryRenames.values()];
+  const newRenamedDirectories = [...directoryRenames.keys()];
+  
+  const root = { name: '', path: '', type: 'directory', children: [] };
+  const nodes = new Map([['', root]]);
+  const paths = [...new Set([...oldEntries.keys(), ...newEntries.keys()])]
+    .sort((a, b) => a.split('/').length - b.split('/').length);
+  
+  paths.forEach(entryPath => {
+    const oldEntry = oldEntries.get(entryPath);
+    const newEntry = newEntries.get(entryPath);
+    let change;
+    let from;
+    
+    if (!newEntry) {
+      // Renamed entries are only listed at their new path
+      if (movedAway.has(entryPath) || oldRenamedDirectories.includes(entryPath) ||
+          isBelow(entryPath, oldRenamedDirectories)) return;
+      change = '-';
+    } else if (!oldEntry && !isBelow(entryPath, newRenamedDirectories)) {
+      from = directoryRenames.get(entryPath) || renames.get(entryPath);
+      change = from ? '→' : '+';
+    }
+    
+    const parent = nodes.get(path.posix.dirname(entryPath) === '.' ? '' : path.posix.dirname(entryPath));
+    if (!parent || !parent.children) return;
+    
+    const createNode = (entry, nodeChange) => {
+      const node = { name: path.posix.basename(entryPath), path: entryPath, type: entry.type };
+      if (nodeChange) {
+        node.change = nodeChange;
+      }
+      if (from) {
+        node.from = from;
+      }
+      if (entry.type === 'directory') {
+        node.children = [];
+      }
+      parent.children.push(node);
+      return node;
+    };
+    
+    // A path that changed between directory and file is listed twice: the old entry removed, the new one
+    // added. Entries below it belong to whichever side is the directory.
+    if (oldEntry && newEntry && (oldEntry.type === 'directory') !== (newEntry.type === 'directory')) {
+      const removedNode = createNode(oldEntry, '-');
+      const addedNode = createNode(newEntry, '+');
+      nodes.set(entryPath, removedNode.children ? removedNode : addedNode);
+      return;
+    }
+    
+    nodes.set(entryPath, createNode(newEntry || oldEntry, change));
+  });
+  
+  collapseUnchanged(root);
+  
+  const summary = { added: 0, removed: 0, renamed: 0 };
+  flattenNodes(root).forEach(({ node }) => {
+    if (node.change === '+') summary.added++;
+    if (node.change === '-') summary.removed++;
+    if (node.change === '→') summary.renamed++;
+  });
+  
+  return { root, summary };
+}
+
+// Keep only what changed: unchanged directories stay as one line with a count of their contents,
+// unchanged files are counted on their parent. Returns whether the subtree has changes.
+function collapseUnchanged(node) {
+  if (!node.children) return Boolean(node.change);
+  
+  const hasChanges = node.children.map(child => collapseUnchanged(child));
+  
+  // A directory renamed as a whole only shows what it holds
+  if (node.change === '→' || !hasChanges.some(Boolean)) {
+    if (node.children.length > 0) {
+      node.unchanged = countEntries(node.children);
+    }
+    node.children = [];
+    return Boolean(node.change);
+  }
+  
+  const unchangedFiles = node.children.filter((child, index) => !hasChanges[index] && !child.children);
+  if (unchangedFiles.length > 0) {
+    node.unchanged = { files: unchangedFiles.length, directories: 0 };
+  }
+  node.children = node.children.filter((child, index) => hasChanges[index] || child.children);
+  
+  return true;
+}
+
+// Count collapsed nodes, including the contents their `unchanged` counts stand for
+function countEntries(nodes) {
+  return nodes.reduce((counts, node) => {
+    const inner = node.unchanged || { files: 0, directories: 0 };
+    return {
+      files: counts.files + inner.files + (node.children ? 0 : 1),
+      directories: counts.directories + inner.directories + (node.children ? 1 : 0)
+    };
+  }, { files: 0, directories: 0 });
+}
+
+// Turn marker options like `max-depth=2 include-pattern="\.md$" root=packages/api`
+// into options, using the same parser as the command line
+function parseMarkerOptions(text) {
+  const args = [];
+  const tokenRegex = /([^\s=]+)(?:=("[^"]*"|'[^']*'|\S*))?/g;
+  let match;
+  
+  while ((match = tokenRegex.exec(text)) !== null) {
+    const name = match[1].replace(/^-+/, '');
+    const value = match[2] === undefined ? undefined : match[2].replace(/^(["'])([\s\S]*)\1$/, '$2');
+    
+    if (name === 'root') {
+      args.push(value);
+      continue;
+    }
+    
+    args.push(`--${name}`);
+    if (value !== undefined) {
+      args.push(value);
+    }
+  }
+  
+  const options = parseArgs(args);
+  
+  const runOnly = Object.keys(options).filter(key => RUN_ONLY_OPTIONS.includes(key));
+  if (runOnly.length > 0) {
+    throw new Error(`Option(s) ${runOnly.join(', ')} cannot be set on an ascii-tree marker`);
+  }
+  
+  return options;
+}
+
+// Wrap text in a code fence longer than any backtick run inside it
+function fenceCodeBlock(text, language = '') {
+  const longestBackticks = (text.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+  const fence = '`'.repeat(Math.max(3, longestBackticks + 1));
+  const body = text.endsWith('\n') ? text : `${text}\n`;
+  
+  return `${fence}${language}\n${body}${fence}\n`;
+}
+
+const SIZE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+// Human-readable size using binary units, e.g. 1536 -> "1.5 KB"
+function formatSize(bytes) {
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < SIZE_UNITS.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${bytes} B` : `${value.toFixed(1)} ${SIZE_UNITS[unit]}`;
+}
+
+// Parse sizes like "500", "10k", "1.5MB" or "2GiB" into bytes
+function parseSize(text) {
+  const match = /^(\d+(?:\.\d+)?)\s*([kmgt]?)(?:i?b)?$/i.exec(String(text).trim());
+  if (!match) {
+    throw new Error(`Invalid size "${text}". Use a number of bytes or a unit like 10KB, 1.5MB`);
+  }
+  
+  const exponent = ['', 'k', 'm', 'g', 't'].indexOf(match[2].toLowerCase());
+  return Math.round(parseFloat(match[1]) * Math.pow(1024, exponent));
+}
+
+// Local "YYYY-MM-DD HH:MM" for an ISO timestamp
+function formatMtime(isoString) {
+  const date = new Date(isoString);
+  const pad = number => String(number).padStart(2, '0');
+  
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Count lines by scanning the file in chunks. Returns null for binary files and unreadable files.
+function countLines(filePath) {
+  const buffer = Buffer.alloc(64 * 1024);
+  let fd;
+  let lines = 0;
+  let lastByte = null;
+  let isFirstChunk = true;
+  
+  try {
+    fd = fs.openSync(filePath, 'r');
+    let bytesRead;
+    
+    while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      const chunk = buffer.subarray(0, bytesRead);
+      
+      // NUL bytes at the start of the file mean binary content
+      if (isFirstChunk && chunk.includes(0)) return null;
+      isFirstChunk = false;
+      
+      for (let index = chunk.indexOf(10); index !== -1; index = chunk.indexOf(10, index + 1)) {
+        lines++;
+      }
+      lastByte = chunk[bytesRead - 1];
+    }
+  } catch (err) {
+    return null;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+  
+  // A last line without a trailing newline still counts
+  if (lastByte !== null && lastByte !== 10) lines++;
+  return lines;
+}
+
+// countLines() without blocking the event loop
+async function countLinesAsync(filePath) {
+  const buffer = Buffer.alloc(64 * 1024);
+  let handle;
+  let lines = 0;
+  let lastByte = null;
+  let isFirstChunk = true;
+  
+  try {
+    handle = await fs.promises.open(filePath, 'r');
+    let bytesRead;
+    
+    while ((bytesRead = (await handle.read(buffer, 0, buffer.length, null)).bytesRead) > 0) {
+      const chunk = buffer.subarray(0, bytesRead);
+      
+      // NUL bytes at the start of the file mean binary content
+      if (isFirstChunk && chunk.includes(0)) return null;
+      isFirstChunk = false;
+      
+      for (let index = chunk.indexOf(10); index !== -1; index = chunk.indexOf(10, index + 1)) {
+        lines++;
+      }
+      lastByte = chunk[bytesRead - 1];
+    }
+  } catch (err) {
+    return null;
+  } finally {
+    if (handle !== undefined) await handle.close();
+  }
+  
+  // A last line without a trailing newline still counts
+  if (lastByte !== null && lastByte !== 10) lines++;
+  return lines;
+}
+
+// Entries of a directory for the async walker, sorted by byte order like readdirSync() returns them
+// (libuv sorts with strcmp) so entries that compare equal keep the order of the synchronous walk
+async function readDirents(dirPath) {
+  const dirents = [];
+  const dir = await fs.promises.opendir(dirPath, { bufferSize: 256 });
+  for await (const dirent of dir) {
+    dirents.push(dirent);
+  }
+  return dirents
+    .map(dirent => ({ dirent, key: Buffer.from(dirent.name) }))
+    .sort((a, b) => Buffer.compare(a.key, b.key))
+    .map(({ dirent }) => dirent);
+}
+
+// Run promise-returning tasks with at most `concurrency` of them pending at a time
+function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+  
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task()
+      .then(resolve, reject)
+      .then(() => {
+        active--;
+        next();
+      });
+  };
+  
+  return task => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+// Case-sensitive comparison orders by code point (uppercase before lowercase). Otherwise names are
+// compared with localeCompare ignoring case, and case only breaks ties ("readme" before "README").
+function compareText(a, b, caseSensitive) {
+  if (caseSensitive) {
+    return a < b ? -1 : (a > b ? 1 : 0);
+  }
+  return compareIgnoringCase(a, b) || a.localeCompare(b);
+}
+
+function compareIgnoringCase(a, b) {
+  return a.localeCompare(b, undefined, { sensitivity: 'accent' });
+}
+
+// Natural order: runs of digits compare by numeric value, so "file2" comes before "file10"
+function compareNatural(a, b, caseSensitive) {
+  const aParts = a.split(/(\d+)/);
+  const bParts = b.split(/(\d+)/);
+  
+  for (let i = 0; i < Math.min(aParts.length, bParts.length); i++) {
+    let result;
+    
+    if (i % 2 === 1) {
+      // Compare digit runs without parsing them, so huge numbers keep their order
+      const aDigits = aParts[i].replace(/^0+(?=\d)/, '');
+      const bDigits = bParts[i].replace(/^0+(?=\d)/, '');
+      result = aDigits.length - bDigits.length || compareText(aDigits, bDigits, true);
+    } else {
+      result = caseSensitive ? compareText(aParts[i], bParts[i], true) : compareIgnoringCase(aParts[i], bParts[i]);
+    }
+    
+    if (result !== 0) return result;
+  }
+  
+  return aParts.length - bParts.length || (caseSensitive ? 0 : a.localeCompare(b));
+}
+
+function extensionOf(node, caseSensitive) {
+  if (node.children) return '';
+  const extension = path.extname(node.name);
+  return caseSensitive ? extension : extension.toLowerCase();
+}
+
+// Build the connector strings for a style name or a custom { branch, last, horizontal, vertical } object
+function createConnectors(style, indentWidth) {
+  const chars = typeof style === 'string' ? TREE_STYLES[style] : style;
+  if (!chars) {
+    throw new Error(`Unknown style "${style}". Use one of: ${Object.keys(TREE_STYLES).join(', ')} or a custom style object`);
+  }
+  
+  const missing = STYLE_KEYS.filter(key => typeof chars[key] !== 'string');
+  if (missing.length > 0) {
+    throw new Error(`Custom style is missing string value(s) for: ${missing.join(', ')}`);
+  }
+  
+  if (!Number.isInteger(indentWidth) || indentWidth < 2) {
+    throw new Error('Indent width must be a whole number of at least 2');
+  }
+  
+  const horizontal = chars.horizontal.repeat(indentWidth - 2);
+  return {
+    branch: `${chars.branch}${horizontal} `,
+    last: `${chars.last}${horizontal} `,
+    vertical: chars.vertical + ' '.repeat(indentWidth - 1),
+    space: ' '.repeat(indentWidth)
+  };
+}
+
+// Join text tree lines, aligning notes as "# comments" in one column after the longest annotated line
+function formatTextLines(lines) {
+  const noteColumn = lines
+    .filter(line => line.note !== undefined)
+    .reduce((width, line) => Math.max(width, line.text.length + 2), 0);
+  
+  return lines
+    .map(line => (line.note !== undefined ? `${line.text.padEnd(noteColumn)}# ${line.note}` : line.text) + '\n')
+    .join('');
+}
+
+// Pad table rows of strings into aligned columns, indented by two spaces. align lists which columns are right-aligned.
+function formatColumns(rows, align) {
+  const widths = align.map((right, column) => Math.max(...rows.map(row => row[column].length)));
+  return rows.map(row => `  ${row.map((cell, column) => (align[column] ? cell.padStart(widths[column]) : cell.padEnd(widths[column]))).join('  ')}`.replace(/\s+$/, ''));
+}
+
+// "1 file", "1,284 files"
+function formatCount(number, singular, plural) {
+  return `${number.toLocaleString('en-US')} ${number === 1 ? singular : plural}`;
+}
+
+// Summary line for entries left out by --max-entries, e.g. "… 1,284 more files (3 dirs)"
+function formatTruncation({ files, directories }) {
+  if (files === 0) {
+    return `… ${formatCount(directories, 'more dir', 'more dirs')}`;
+  }
+  
+  const summary = `… ${formatCount(files, 'more file', 'more files')}`;
+  return directories > 0 ? `${summary} (${formatCount(directories, 'dir', 'dirs')})` : summary;
+}
+
+// Files below a directory node, including the ones --max-entries left out
+function countFiles(node) {
+  const hidden = node.truncated ? node.truncated.files : 0;
+  return node.children.reduce((sum, child) => sum + (child.children ? countFiles(child) : 1), hidden);
+}
+
+// Directories and files in trees (including the ones --max-entries folded into "… N more" lines)
+// and the size of their files. A compacted "a/b/c" node counts as three directories.
+function summarizeNodes(roots) {
+  const totals = { directories: 0, files: 0, size: sumSizes(roots) };
+  
+  roots.forEach(rootNode => {
+    flattenNodes(rootNode).forEach(({ node }) => {
+      if (node !== rootNode) {
+        if (node.children) {
+          totals.directories += node.name.split('/').length;
+        } else {
+          totals.files++;
+        }
+      }
+      if (node.truncated) {
+        totals.directories += node.truncated.directories;
+        totals.files += node.truncated.files;
+      }
+    });
+    
+    // --dirs-only drops the files once their directories have counted them
+    if (rootNode.files !== undefined) {
+      totals.files += rootNode.files;
+    }
+  });
+  
+  return totals;
+}
+
+// Diagram node id for a child: the parent id plus the name with everything but letters and digits
+// hex-escaped ("a.b c" -> "a_2e_b_20_c"). Valid in Mermaid and DOT, and never a reserved word like "end".
+function diagramId(parentId, name) {
+  return `${parentId}__${name.replace(/[^A-Za-z0-9]/g, char => `_${char.charCodeAt(0).toString(16)}_`)}`;
+}
+
+// Mermaid entity codes for characters that would end or break a quoted label
+function escapeMermaidLabel(text) {
+  return text.replace(/[#"<>]/g, char => `#${char.charCodeAt(0)};`);
+}
+
+function quoteDot(text) {
+  return `"${text.replace(/["\\]/g, '\\$&')}"`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[char]);
+}
+
+// "3 files", "2 dirs, 3 files"
+function formatEntryCounts({ files, directories }) {
+  const parts = [];
+  if (directories > 0) {
+    parts.push(formatCount(directories, 'dir', 'dirs'));
+  }
+  if (files > 0 || directories === 0) {
+    parts.push(formatCount(files, 'file', 'files'));
+  }
+  return parts.join(', ');
+}
+
+function sumSizes(nodes) {
+  return nodes.reduce((sum, node) => sum + node.size, 0);
+}
+
+// Flatten the node model depth-first, keeping the depth of each node
+function flattenNodes(node, depth = 0, result = []) {
+  result.push({ node, depth });
+  if (node.children) {
+    node.children.forEach(child => flattenNodes(child, depth + 1, result));
+  }
+  return result;
+}
+
+// Minimal YAML serializer for the node model (plain objects, arrays, strings, numbers, booleans)
+function toYaml(value, indent = '') {
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return value.map(item => {
+      const rendered = toYaml(item, indent + '  ');
+      return `${indent}- ${rendered.trimStart()}`;
+    }).join('\n');
+  }
+  
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return '{}';
+    return entries.map(([key, val]) => {
+      if (val && typeof val === 'object' && !(Array.isArray(val) && val.length === 0)) {
+        return `${indent}${key}:\n${toYaml(val, indent + '  ')}`;
+      }
+      return `${indent}${key}: ${toYaml(val)}`;
+    }).join('\n');
+  }
+  
+  if (typeof value === 'string') {
+    const isPlain = /^[A-Za-z_][\w.\/@+-]*$/.test(value) &&
+      !/^(true|false|null|yes|no|on|off|y|n)$/i.test(value);
+    return isPlain ? value : JSON.stringify(value);
+  }
+  
+  if (value === null || value === undefined) return 'null';
+  return String(value);
+}
+
+// Logger dropping messages above a level and forwarding the rest to a console-like sink, using the
+// sink's own method for the level when it has one and log() otherwise. output() carries what the user
+// asked for (--stdout, dry-run previews, --check diffs) and is never dropped.
+function createLogger(level = 'info', sink = console) {
+  const enabled = LOG_LEVELS.indexOf(level);
+  const forward = (minLevel, methods) => {
+    const method = methods.find(name => typeof sink[name] === 'function');
+    if (!method || enabled < LOG_LEVELS.indexOf(minLevel)) return () => {};
+    return (...args) => sink[method](...args);
+  };
+  
+  return {
+    error: forward('error', ['error', 'log']),
+    warn: forward('warn', ['warn', 'log']),
+    info: forward('info', ['log', 'info']),
+    verbose: forward('verbose', ['verbose', 'log', 'info']),
+    debug: forward('debug', ['debug', 'log']),
+    output: forward('silent', ['output', 'log', 'info'])
+  };
+}
+
+// Find the project config in a directory. Returns { source, config } or null when there is none.
+function loadConfig(dir) {
+  for (const name of CONFIG_FILES) {
+    const file = path.join(dir, name);
+    if (!fs.existsSync(file)) continue;
+    
+    let config;
+    try {
+      config = name.endsWith('.json') ? JSON.parse(fs.readFileSync(file, 'utf8')) : require(file);
+    } catch (error) {
+      throw new Error(`Could not load ${name}: ${error.message}`);
+    }
+    return { source: name, config };
+  }
+  
+  const packageFile = path.join(dir, 'package.json');
+  if (fs.existsSync(packageFile)) {
+    // package.json is not ours: an empty or broken one just holds no config
+    let pkg = null;
+    try {
+      pkg = JSON.parse(fs.readFileSync(packageFile, 'utf8'));
+    } catch (error) {
+      // No config
+    }
+    if (pkg && pkg[PACKAGE_CONFIG_KEY] !== undefined) {
+      return { source: `package.json "${PACKAGE_CONFIG_KEY}"`, config: pkg[PACKAGE_CONFIG_KEY] };
+    }
+  }
+  
+  return null;
+}
+
+// Check config options against OPTION_TYPES and convert sizes to bytes. Errors name the source and key.
+function validateOptions(options, source) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error(`${source} must be an object of options`);
+  }
+  
+  const validated = {};
+  for (const [key, value] of Object.entries(options)) {
+    const type = OPTION_TYPES[key];
+    if (!type) {
+      const camelCase = key.replace(/^-+/, '').replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+      const suggestion = Object.keys(OPTION_TYPES).find(name => name.toLowerCase() === camelCase.toLowerCase());
+      throw new Error(`${source}: unknown option "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+    }
+    
+    const fail = expected => {
+      throw new Error(`${source}: "${key}" must be ${expected}, got ${JSON.stringify(value)}`);
+    };
+    
+    if (Array.isArray(type)) {
+      if (!type.includes(value)) fail(`one of ${type.join(', ')}`);
+    } else if (type === 'string[]') {
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) fail('an array of strings');
+    } else if (type === 'string?') {
+      if (value !== null && typeof value !== 'string') fail('a string or null');
+    } else if (type === 'limit') {
+      if (!(Number.isInteger(value) || value === Infinity) || value < 0) fail('a non-negative whole number');
+    } else if (type === 'integer') {
+      if (!Number.isInteger(value) || value < INTEGER_MINIMUMS[key]) fail(`a whole number of at least ${INTEGER_MINIMUMS[key]}`);
+    } else if (type === 'regex') {
+      if (value !== null && typeof value !== 'string') fail('a regex string or null');
+      try {
+        new RegExp(value);
+      } catch (error) {
+        fail(`a valid regex (${error.message})`);
+      }
+    } else if (type === 'size') {
+      if (typeof value !== 'number' && typeof value !== 'string') fail('a number of bytes or a size like "10KB"');
+      validated[key] = typeof value === 'number' ? value : parseSize(value);
+      continue;
+    } else if (type === 'style') {
+      if (typeof value === 'string' ? !TREE_STYLES[value] : (!value || typeof value !== 'object')) {
+        fail(`one of ${Object.keys(TREE_STYLES).join(', ')} or a custom style object`);
+      }
+      const missing = typeof value === 'object' ? STYLE_KEYS.filter(name => typeof value[name] !== 'string') : [];
+      if (missing.length > 0) fail(`a custom style with string values for ${STYLE_KEYS.join(', ')} (missing ${missing.join(', ')})`);
+    } else if (type === 'logger') {
+      if (value !== null && (!value || typeof value !== 'object')) fail('a console-like object or null');
+    } else if (typeof value !== type) {
+      fail(`a ${type}`);
+    }
+    
+    validated[key] = value;
+  }
+  
+  return validated;
+}
+
+// Merge options in order: defaults < config file < profile < command line flags
+function resolveOptions(cliOptions, dir = process.cwd()) {
+  const { profile, ...flags } = cliOptions;
+  const loaded = loadConfig(dir);
+  
+  if (!loaded) {
+    if (profile) {
+      throw new Error(`--profile ${profile} needs a config file (${CONFIG_FILES.join(', ')} or an "${PACKAGE_CONFIG_KEY}" key in package.json)`);
+    }
+    return flags;
+  }
+  
+  if (!loaded.config || typeof loaded.config !== 'object' || Array.isArray(loaded.config)) {
+    throw new Error(`${loaded.source} must be an object of options`);
+  }
+  
+  const { profiles = {}, ...base } = loaded.config;
+  if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles)) {
+    throw new Error(`${loaded.source}: "profiles" must be an object of named option sets`);
+  }
+  
+  let options = validateOptions(base, loaded.source);
+  if (profile) {
+    if (!Object.prototype.hasOwnProperty.call(profiles, profile)) {
+      const names = Object.keys(profiles);
+      throw new Error(`Unknown profile "${profile}" in ${loaded.source}. ` +
+        (names.length > 0 ? `Available profiles: ${names.join(', ')}` : 'No profiles are defined'));
     }
-    
-    const outputFile = path.join(this.options.outputPath, this.options.outputName);
-    fs.writeFileSync(outputFile, output);
-    
-    console.log(`Project structure saved to: ${outputFile}`);
+    options = { ...options, ...validateOptions(profiles[profile], `${loaded.source} profile "${profile}"`) };
   }
+  
+  return { ...options, ...flags };
 }
 
-// Parse command line arguments
-function parseArgs() {
-  const args = process.argv.slice(2);
+// Parse command line arguments. Invalid values throw, so the same parser can read marker options.
+function parseArgs(args = process.argv.slice(2)) {
   const options = {};
   
   // Parse array arguments from various formats
-  function parseArrayArg(arg, optionName) {
-    console.log(`Debug: Received ${optionName} argument:`, JSON.stringify(arg));
-    
+  function parseArrayArg(arg) {
     // Try JSON parsing first
     try {
       const parsed = JSON.parse(arg);
@@ -623,12 +3789,9 @@ function parseArgs() {
         i++;
         if (i < args.length) {
           try {
-            options.exceptDirs = parseArrayArg(args[i], '--except-dir');
-            console.log(`Parsed exceptDirs:`, options.exceptDirs);
+            options.exceptDirs = parseArrayArg(args[i]);
           } catch (e) {
-            console.error(`Error parsing --except-dir: ${e.message}`);
-            console.log('Try: --except-dir "node_modules,build" or --except-dir node_modules');
-            process.exit(1);
+            throw new Error(`Could not parse --except-dir: ${e.message}. Try: --except-dir "node_modules,build" or --except-dir node_modules`);
           }
         }
         break;
@@ -637,12 +3800,9 @@ function parseArgs() {
         i++;
         if (i < args.length) {
           try {
-            options.exceptFiles = parseArrayArg(args[i], '--except-file');
-            console.log(`Parsed exceptFiles:`, options.exceptFiles);
+            options.exceptFiles = parseArrayArg(args[i]);
           } catch (e) {
-            console.error(`Error parsing --except-file: ${e.message}`);
-            console.log('Try: --except-file "*.log,*.tmp" or --except-file *.log');
-            process.exit(1);
+            throw new Error(`Could not parse --except-file: ${e.message}. Try: --except-file "*.log,*.tmp" or --except-file *.log`);
           }
         }
         break;
@@ -665,22 +3825,189 @@ function parseArgs() {
         options.dryRun = true;
         break;
         
+      case '--check':
+        options.check = true;
+        break;
+        
+      case '--inject':
+        i++;
+        if (i < args.length) {
+          options.inject = args[i];
+        }
+        break;
+        
+      case '--format':
+        i++;
+        if (i < args.length) {
+          if (!FORMAT_EXTENSIONS[args[i]]) {
+            throw new Error(`--format must be one of: ${Object.keys(FORMAT_EXTENSIONS).join(', ')}`);
+          }
+          options.format = args[i];
+        }
+        break;
+        
       case '--debug':
         options.debug = true;
         break;
         
+      case '--stdout':
+        options.stdout = true;
+        break;
+        
+      case '--stats-timing':
+        options.statsTiming = true;
+        break;
+        
+      case '--walker':
+        i++;
+        if (i < args.length) {
+          if (!WALKERS.includes(args[i])) {
+            throw new Error(`Invalid --walker value "${args[i]}". Use one of: ${WALKERS.join(', ')}`);
+          }
+          options.walker = args[i];
+        }
+        break;
+        
+      case '--concurrency':
+        i++;
+        if (i < args.length) {
+          const concurrency = parseInt(args[i]);
+          if (isNaN(concurrency) || concurrency < 1) {
+            throw new Error('--concurrency requires a number of at least 1');
+          }
+          options.concurrency = concurrency;
+        }
+        break;
+        
+      case '--quiet':
+      case '-q':
+        options.logLevel = 'warn';
+        break;
+        
+      case '--verbose':
+        options.logLevel = 'verbose';
+        break;
+        
+      case '--follow-symlinks':
+        options.followSymlinks = true;
+        break;
+        
+      case '--style':
+        i++;
+        if (i < args.length) {
+          if (!TREE_STYLES[args[i]]) {
+            throw new Error(`--style must be one of: ${Object.keys(TREE_STYLES).join(', ')}`);
+          }
+          options.style = args[i];
+        }
+        break;
+        
+      case '--indent':
+        i++;
+        if (i < args.length) {
+          const width = parseInt(args[i]);
+          if (isNaN(width) || width < 2) {
+            throw new Error('--indent requires a number of at least 2');
+          }
+          options.indentWidth = width;
+        }
+        break;
+        
+      case '--dir-slash':
+        options.dirSlash = true;
+        break;
+        
+      case '--sort':
+        i++;
+        if (i < args.length) {
+          if (!SORT_MODES.includes(args[i])) {
+            throw new Error(`--sort must be one of: ${SORT_MODES.join(', ')}`);
+          }
+          options.sort = args[i];
+        }
+        break;
+        
+      case '--reverse':
+        options.reverse = true;
+        break;
+        
+      case '--dirs-first':
+        options.groupDirs = 'first';
+        break;
+        
+      case '--files-first':
+        options.groupDirs = 'last';
+        break;
+        
+      case '--mixed':
+        options.groupDirs = 'mixed';
+        break;
+        
+      case '--case-sensitive':
+        options.caseSensitive = true;
+        break;
+        
+      case '--size':
+        options.showSize = true;
+        break;
+        
+      case '--lines':
+        options.showLines = true;
+        break;
+        
+      case '--mtime':
+        options.showMtime = true;
+        break;
+        
+      case '--min-size':
+        i++;
+        if (i < args.length) {
+          options.minSize = parseSize(args[i]);
+        }
+        break;
+        
+      case '--max-size':
+        i++;
+        if (i < args.length) {
+          options.maxSize = parseSize(args[i]);
+        }
+        break;
+        
       case '--max-depth':
         i++;
         if (i < args.length) {
           const depth = parseInt(args[i]);
           if (isNaN(depth) || depth < 0) {
-            console.error('Error: --max-depth requires a positive number');
-            process.exit(1);
+            throw new Error('--max-depth requires a positive number');
           }
           options.maxDepth = depth;
         }
         break;
         
+      case '--max-entries':
+        i++;
+        if (i < args.length) {
+          const maxEntries = parseInt(args[i]);
+          if (isNaN(maxEntries) || maxEntries < 1) {
+            throw new Error('--max-entries requires a number of at least 1');
+          }
+          options.maxEntries = maxEntries;
+        }
+        break;
+        
+      case '--compact':
+        options.compact = true;
+        break;
+        
+      case '--include':
+      case '--exclude':
+        i++;
+        if (i < args.length) {
+          const key = arg.slice(2);
+          options[key] = (options[key] || []).concat(args[i]);
+        }
+        break;
+        
       case '--include-pattern':
         i++;
         if (i < args.length) {
@@ -688,8 +4015,7 @@ function parseArgs() {
             new RegExp(args[i]); // Validate regex
             options.includePattern = args[i];
           } catch (e) {
-            console.error(`Error: Invalid regex pattern for --include-pattern: ${e.message}`);
-            process.exit(1);
+            throw new Error(`Invalid regex pattern for --include-pattern: ${e.message}`);
           }
         }
         break;
@@ -701,9 +4027,98 @@ function parseArgs() {
             new RegExp(args[i]); // Validate regex
             options.excludePattern = args[i];
           } catch (e) {
-            console.error(`Error: Invalid regex pattern for --exclude-pattern: ${e.message}`);
-            process.exit(1);
+            throw new Error(`Invalid regex pattern for --exclude-pattern: ${e.message}`);
+          }
+        }
+        break;
+        
+      case '--notes':
+        i++;
+        if (i < args.length) {
+          options.notes = args[i];
+        }
+        break;
+        
+      case '--no-notes':
+        options.notes = null;
+        break;
+        
+      case '--watch':
+        options.watch = true;
+        break;
+        
+      case '--links':
+        options.links = true;
+        break;
+        
+      case '--mermaid-type':
+        i++;
+        if (i < args.length) {
+          if (!MERMAID_TYPES.includes(args[i])) {
+            throw new Error(`--mermaid-type must be one of: ${MERMAID_TYPES.join(', ')}`);
           }
+          options.mermaidType = args[i];
+        }
+        break;
+        
+      case '--dirs-only':
+        options.dirsOnly = true;
+        break;
+        
+      case '--files-only':
+        options.filesOnly = true;
+        break;
+        
+      case '--prune':
+        options.prune = true;
+        break;
+        
+      case '--summary':
+        options.summary = true;
+        break;
+        
+      case '--report':
+        options.report = true;
+        break;
+        
+      case '--git':
+        options.git = true;
+        break;
+        
+      case '--git-status-only':
+        options.git = true;
+        options.gitStatusOnly = true;
+        break;
+        
+      case '--since':
+        i++;
+        if (i < args.length) {
+          options.since = args[i];
+        }
+        break;
+        
+      case '--until':
+        i++;
+        if (i < args.length) {
+          options.until = args[i];
+        }
+        break;
+        
+      case '--target':
+        i++;
+        if (i < args.length) {
+          options.target = args[i];
+        }
+        break;
+        
+      case '--force':
+        options.force = true;
+        break;
+        
+      case '--profile':
+        i++;
+        if (i < args.length) {
+          options.profile = args[i];
         }
         break;
         
@@ -714,9 +4129,12 @@ function parseArgs() {
         break;
         
       default:
-        console.log(`Unknown option: ${arg}`);
-        console.log('Use --help for usage information');
-        process.exit(1);
+        if (arg.startsWith('-') && arg !== '-') {
+          throw new Error(`Unknown option: ${arg}\nUse --help for usage information`);
+        }
+        
+        // Positional arguments are project roots
+        options.roots = [...(options.roots || []), arg];
     }
   }
   
@@ -728,21 +4146,101 @@ function showHelp() {
 ascii-tree-generator - Generate ASCII directory tree structure
 
 USAGE:
-  ascii-tree-generator [OPTIONS]
+  ascii-tree-generator [OPTIONS] [ROOT...]
+  ascii-tree-generator diff [OPTIONS] OLD_TREE [NEW_TREE]
+  ascii-tree-generator diff [OPTIONS] --since <ref> [--until <ref>] [ROOT]
+  ascii-tree-generator scaffold TREE_FILE [--target <dir>] [--dry-run] [--force]
+  ascii-tree-generator explain [OPTIONS] PATH...
+
+  Each ROOT is rendered with its own .gitignore hierarchy and header (default: current directory).
+
+  diff compares two saved trees (text, json or ndjson), a saved tree with the current directory, or a git
+  ref with the working tree, and prints one merged tree: + added, - removed, → renamed (detected by
+  content for git refs and the working tree, by unique name for saved trees). Unchanged directories
+  collapse to one line. The filter options apply to both sides.
+
+  scaffold creates the directories and empty files of a tree (this tool's text output, the tree command's
+  output or plain indentation, "-" reads stdin) under --target. Names ending in "/" or with children are
+  directories, so generate trees with --dir-slash to keep empty directories.
+
+  explain prints why each PATH (relative to the current directory) is shown or hidden with the given filter
+  options: the .gitignore file, line and pattern that decided it, negations, --include/--exclude and regex
+  results and depth or size cut-offs, for each parent directory and the path itself. --format json for tools.
 
 OPTIONS:
   --all                          Include all files (ignore .gitignore and defaults)
   --except-dir "dir1,dir2"       Additional directories to ignore (comma separated names in quotes)
   --except-file "f1,f2"          Additional files to ignore (comma separated names in quotes)
-  --output-name <filename>       Output filename (default: project-ascii-tree.txt)
+  --output-name <filename>       Output filename (default: project-ascii-tree.<format extension>)
   --output-path <path>           Output directory. (default: current directory)
   --dry-run                      Show what would be generated without creating file
+  --check                        Compare with the existing output file, print a diff and exit 1 if it is stale
+  --watch                        Keep running and regenerate the output (file, --inject or --dry-run) when
+                                 files are added, removed or renamed
+  --inject <file>                Update the tree blocks between <!-- ascii-tree:start --> and
+                                 <!-- ascii-tree:end --> markers in a markdown file instead of writing an output file
+  --format <format>              Output format: text, json, yaml, ndjson, html, mermaid or dot (default: text)
+  --links                        html: link every entry to its file, relative to the output file
+  --mermaid-type <type>          mermaid: graph (flowchart, default) or mindmap
+  --dirs-only                    Only show directories, each with the number of files inside
+  --files-only                   Print a flat list of file paths instead of a tree
+  --prune                        Drop directories that end up without any included file
+  --summary                      Add a "N directories, M files, size" footer to text trees
+  --report                       Print a report instead of writing the tree: files and bytes per extension,
+                                 largest files and directories, entries per depth and what each ignore source
+                                 hid (--format text or json)
+  --stats-timing                 Print how long finding .gitignore files, walking and rendering took
+  --walker <walker>              sync (default) or async (single pass with concurrent filesystem calls)
+  --concurrency <number>         Filesystem operations the async walker runs at once (default: 32)
+  --stdout                       Print the output instead of writing a file (messages go to stderr)
+  --quiet, -q                    Only print warnings and errors
+  --verbose                      Also print the ignored directories that are skipped
   --debug                        Show debug info for pattern matching and .gitignore processing
+                                 (use explain PATH to see why one path is shown or hidden)
+  --follow-symlinks              Descend into symlinked directories (cycles are cut and marked [cycle])
+  --git                          List what git tracks plus untracked files it does not ignore, marked
+                                 [M] modified, [A] added, [R] renamed, [D] deleted, [U] unmerged, [??] untracked
+  --git-status-only              Only list changed paths (and their directories)
+  --notes <file>                 Notes file with "<pattern> # <description>" lines (default: .treenotes in each root)
+  --no-notes                     Do not render notes
+  --profile <name>               Apply a named profile from the project config file
+  --since <ref>                  diff: compare this git ref with the working tree
+  --until <ref>                  diff: compare with this git ref instead of the working tree
+  --target <dir>                 scaffold: directory to create the tree in (default: current directory)
+  --force                        scaffold: replace existing files
+  --style <style>                Connector style: ascii, unicode, rounded, heavy, double or indent (default: unicode)
+  --indent <number>              Indent width per level, at least 2 (default: 4)
+  --dir-slash                    Add a trailing / to directory names
+  --sort <mode>                  Sort by name, natural, size, mtime or extension (default: name)
+                                 size and mtime put the largest/newest entries first
+  --reverse                      Reverse the sort order
+  --dirs-first                   List directories before files (default)
+  --files-first                  List files before directories
+  --mixed                        Sort directories and files together
+  --case-sensitive               Compare names case-sensitively (uppercase before lowercase)
+  --size                         Show file sizes and directory totals
+  --lines                        Show line counts (directories show totals, binary files are skipped)
+  --mtime                        Show modification times (directories show their latest change)
+  --min-size <size>              Only show files at least this big (e.g. 500, 10KB, 1.5MB)
+  --max-size <size>              Only show files at most this big
   --max-depth <number>           Maximum directory depth to traverse
+  --max-entries <number>         Show at most this many entries per directory, then a "… N more files" line
+  --compact                      Merge single-child directory chains into one line (src/main/java)
+  --include <glob>               Only show files matching this .gitignore-style glob (repeatable, "!" excludes again)
+  --exclude <glob>               Exclude files/dirs matching this .gitignore-style glob (repeatable, "!" re-includes)
   --include-pattern <regex>      Only show files matching this regex pattern
   --exclude-pattern <regex>      Exclude files/dirs matching this regex pattern
   --help, -h                     Show this help message
 
+GLOB EXAMPLES:
+  --include "src/**/*.ts" --include "!**/*.test.ts"   TypeScript files below the top-level src, without tests
+  --include "*.md"                                    Markdown files at any level
+  --exclude "docs/" --exclude "**/fixtures/"          Skip the top-level docs and every fixtures directory
+
+  Globs use .gitignore syntax and match the path relative to the root: a glob with a "/" anywhere is
+  anchored to the root (src/ is the top-level src), one without matches names at any level. Rules of each flag are
+  evaluated in order and the last matching one wins. A rule matching a directory covers everything inside.
+
 PATTERN EXAMPLES:
   --include-pattern "\.js$"            Only show JavaScript files
   --include-pattern "\.(js|ts|json)$"  Only show JS, TS, and JSON files
@@ -753,7 +4251,7 @@ PATTERN EXAMPLES:
 REGEX ESCAPING TIPS:
   - Use SINGLE backslash in quotes: "\.js$" not \\\\js$
   - In shell, you may need quotes: --include-pattern "\.js$"
-  - Test your pattern with --debug to see what gets matched
+  - Test your pattern on a path with explain: ascii-tree-generator explain src/app.js --include-pattern "\.js$"
 
 GITIGNORE BEHAVIOR:
   This tool searches for ALL .gitignore files in your project and applies them hierarchically, just like git does:
@@ -763,9 +4261,16 @@ GITIGNORE BEHAVIOR:
   - Negation patterns (!) work correctly to override parent directory patterns
   - .gitignore files in ignored directories are skipped (e.g., won't read .gitignore files from node_modules, .venv, or other ignored directories)
 
-NOTE: Include patterns only apply to files (directories shown for structure).
+CONFIG FILE:
+  Options are read from .asciitreerc.json, ascii-tree.config.js or the "asciiTree" key of package.json
+  in the current directory. Keys use the option names from the README (maxDepth, exceptDirs, ...) and
+  a "profiles" object holds named option sets. Command line flags override the profile, which overrides
+  the rest of the config.
+
+NOTE: Include patterns and globs only apply to files (directories shown for structure, use --prune to hide empty ones).
       Exclude patterns apply to both files and directories.
-      To generate tree for specific directory and to NOT include other directories simply run the script from the desired directory.
+      Symlinks are shown as "name -> target" and are not followed unless --follow-symlinks is given.
+      To generate tree for specific directories pass them as ROOT arguments.
 
 EXAMPLES:
   ascii-tree-generator
@@ -774,25 +4279,323 @@ EXAMPLES:
   ascii-tree-generator --except-dir "build,dist" --output-path docs/
   ascii-tree-generator --include-pattern "\.js$" --exclude-pattern "test"
   ascii-tree-generator --include-pattern "src/" --max-depth 2
+  ascii-tree-generator --include-pattern "\.ts$" --prune
+  ascii-tree-generator --include "src/**/*.js" --include "!**/*.test.js" --exclude "vendor/"
+  ascii-tree-generator --dirs-only --max-depth 2
+  ascii-tree-generator --files-only --include-pattern "\.md$" --dry-run
   ascii-tree-generator --all --include-pattern "\.(js|ts|json)$"
   ascii-tree-generator --debug --include-pattern "\.js$"
+  ascii-tree-generator --format json --max-depth 2
+  ascii-tree-generator --format html --links --output-path docs/
+  ascii-tree-generator --format mermaid --dirs-only --max-depth 2 --inject ARCHITECTURE.md
+  ascii-tree-generator --format dot --dry-run | dot -Tsvg > tree.svg
+  ascii-tree-generator --check
+  ascii-tree-generator --stdout --max-depth 2 | less
+  ascii-tree-generator --format ndjson --stdout --stats-timing > /dev/null
+  ascii-tree-generator --size --min-size 1MB
+  ascii-tree-generator --summary --max-depth 2 --dry-run
+  ascii-tree-generator --report --format json > tree-report.json
+  ascii-tree-generator --style ascii --indent 2 --dir-slash
+  ascii-tree-generator --sort natural --mixed
+  ascii-tree-generator --compact --max-entries 20
+  ascii-tree-generator --git-status-only --dry-run
+  ascii-tree-generator diff --since v1.0.0 --max-depth 3
+  ascii-tree-generator diff old-tree.txt project-ascii-tree.txt
+  ascii-tree-generator scaffold template-tree.txt --target new-project --dry-run
+  ascii-tree-generator explain src/build/index.js dist/ --format json
+  ascii-tree-generator --inject README.md
+  ascii-tree-generator --watch --inject README.md
+  ascii-tree-generator --profile docs
+  ascii-tree-generator packages/api packages/web --output-name packages-tree.txt
 
   `);
 }
 
+// `diff` command: compare two saved trees, a saved tree with the working tree,
+// or a git ref with the working tree (or with another ref)
+function runDiff(args) {
+  const { since, until, roots = [], ...options } = resolveOptions(parseArgs(args));
+  
+  if (!['text', 'json'].includes(options.format || 'text')) {
+    throw new Error('diff supports --format text or json');
+  }
+  if (until && !since) {
+    throw new Error('--until needs --since');
+  }
+  if (since ? roots.length > 1 : roots.length === 0 || roots.length > 2) {
+    throw new Error('Usage: ascii-tree-generator diff OLD_TREE [NEW_TREE] or ascii-tree-generator diff --since <ref> [--until <ref>] [ROOT]');
+  }
+  
+  // Both sides must be listed in full to be comparable. Messages go to stderr, the JSON output stays parseable.
+  const generator = new AsciiTreeGenerator({
+    logLevel: 'warn',
+    ...options,
+    logger: STDERR_SINK,
+    roots: since ? roots : ['.'],
+    compact: false,
+    maxEntries: Infinity,
+    dirsOnly: false,
+    filesOnly: false,
+    prune: false,
+    notes: null
+  });
+  generator.loadRoot(generator.options.roots[0]);
+  
+  const workingTree = () => ({ name: path.basename(generator.projectRoot), entries: generator.collectTreeEntries(), hasContent: true });
+  const gitRef = ref => ({ name: path.basename(generator.projectRoot), entries: generator.collectGitRefEntries(ref), hasContent: true });
+  const snapshot = file => {
+    const { name, entries } = readTreeSnapshot(file);
+    return { name, entries: generator.filterEntries(entries), hasContent: false };
+  };
+  
+  const oldSide = since ? gitRef(since) : snapshot(roots[0]);
+  const newSide = since ? (until ? gitRef(until) : workingTree()) : (roots[1] ? snapshot(roots[1]) : workingTree());
+  
+  const diff = diffEntries(oldSide.entries, newSide.entries, oldSide.hasContent && newSide.hasContent);
+  process.stdout.write(generator.renderDiff(diff, newSide.name || oldSide.name || path.basename(generator.projectRoot)));
+}
+
+// Text form of an explainPath() result: each parent directory and the path with its checks, ✓ passed and ✗ failed,
+// and the ignore rules that flipped the result as "source:line  pattern  result" columns
+function formatExplanation(explanation) {
+  const status = explanation.shown ? 'shown' : 'hidden';
+  const lines = [`${explanation.path}: ${explanation.exists ? status : `would be ${status}`} (${explanation.type}${explanation.exists ? '' : ', does not exist'})`];
+  
+  explanation.levels.forEach(level => {
+    lines.push(`  ${level.path}${level.type === 'directory' ? '/' : ''}`);
+    level.checks.forEach(check => {
+      lines.push(`    ${check.passed ? '✓' : '✗'} ${check.check}: ${check.detail}`);
+      if (!check.rules || check.rules.length === 0) return;
+      
+      const locations = check.rules.map(rule => rule.line ? `${rule.source}:${rule.line}` : rule.source);
+      const locationWidth = Math.max(...locations.map(location => location.length));
+      const patternWidth = Math.max(...check.rules.map(rule => rule.pattern.length));
+      check.rules.forEach((rule, index) => {
+        lines.push(`        ${locations[index].padEnd(locationWidth)}  ${rule.pattern.padEnd(patternWidth)}  ${rule.result}`);
+      });
+    });
+  });
+  
+  if (explanation.reason) {
+    lines.push(`  Hidden: ${explanation.reason}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// `explain` command: print why each path is shown in the tree of the current directory or hidden from it.
+// The filter options apply as they would to the tree.
+function runExplain(args) {
+  const { roots: paths = [], ...options } = resolveOptions(parseArgs(args));
+  
+  if (!['text', 'json'].includes(options.format || 'text')) {
+    throw new Error('explain supports --format text or json');
+  }
+  if (paths.length === 0) {
+    throw new Error('Usage: ascii-tree-generator explain [OPTIONS] PATH...');
+  }
+  
+  // Messages go to stderr, the JSON output stays parseable
+  const generator = new AsciiTreeGenerator({ logLevel: 'warn', ...options, roots: ['.'], logger: STDERR_SINK });
+  generator.loadRoot('.');
+  
+  const explanations = paths.map(target => {
+    const relativePath = toPosix(path.relative(generator.projectRoot, path.resolve(target)));
+    if (!relativePath || relativePath.startsWith('../') || relativePath === '..' || path.isAbsolute(relativePath)) {
+      throw new Error(`explain needs paths below the project root ${generator.projectRoot}, got ${target}`);
+    }
+    return generator.explainPath(relativePath, /[\\/]$/.test(target));
+  });
+  
+  process.stdout.write(options.format === 'json'
+    ? JSON.stringify(explanations, null, 2) + '\n'
+    : explanations.map(formatExplanation).join('\n'));
+}
+
+// List what scaffolding parsed tree nodes under a directory involves, parents before their children
+function planScaffold(nodes, targetDir, parentPath = '', actions = []) {
+  nodes.forEach(node => {
+    if (node.name === '..') {
+      throw new Error(`Refusing to create "${parentPath ? `${parentPath}/` : ''}.." outside the target directory`);
+    }
+    
+    const entryPath = parentPath ? `${parentPath}/${node.name}` : node.name;
+    const fullPath = path.join(targetDir, entryPath);
+    let existing = null;
+    try {
+      existing = fs.lstatSync(fullPath);
+    } catch (err) {
+      // Does not exist yet
+    }
+    
+    if (existing && (node.type === 'directory') !== existing.isDirectory()) {
+      throw new Error(`${entryPath} already exists as a ${existing.isDirectory() ? 'directory' : 'file'}`);
+    }
+    
+    actions.push({ type: node.type, path: entryPath, fullPath, target: node.target, exists: Boolean(existing) });
+    if (node.children) {
+      planScaffold(node.children, targetDir, entryPath, actions);
+    }
+  });
+  
+  return actions;
+}
+
+// `scaffold` command: create the directories and empty files of a text tree under a target directory.
+// Existing files are only replaced with --force, and nothing is created when one would be.
+function runScaffold(args) {
+  const { roots = [], target = '.', force = false, dryRun = false, logLevel = 'info' } = parseArgs(args);
+  const logger = createLogger(logLevel);
+  if (roots.length !== 1) {
+    throw new Error('Usage: ascii-tree-generator scaffold TREE_FILE [--target <dir>] [--dry-run] [--force]');
+  }
+  
+  const file = roots[0];
+  let content;
+  try {
+    content = fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+  } catch (err) {
+    throw new Error(`Could not read tree file ${file}: ${err.message}`);
+  }
+  
+  const tree = parseTree(content);
+  if (tree.children.length === 0) {
+    throw new Error(`No entries found in ${file}`);
+  }
+  
+  const actions = planScaffold(tree.children, path.resolve(target));
+  const conflicts = actions.filter(action => action.exists && action.type !== 'directory');
+  
+  if (dryRun) {
+    logger.info('=== DRY RUN ===');
+    logger.info(`Would scaffold into ${target}:`);
+    actions.forEach(action => {
+      const label = action.type === 'directory'
+        ? (action.exists ? 'exists' : 'mkdir')
+        : (action.exists ? (force ? 'replace' : 'conflict') : 'create');
+      const suffix = action.type === 'directory' ? '/' : (action.type === 'symlink' ? ` -> ${action.target}` : '');
+      logger.output(`  ${label.padEnd(8)} ${action.path}${suffix}`);
+    });
+    if (conflicts.length > 0 && !force) {
+      logger.info(`${conflicts.length} existing file(s) would stop the run. Use --force to replace them.`);
+    }
+    return;
+  }
+  
+  if (conflicts.length > 0 && !force) {
+    const listed = conflicts.slice(0, 5).map(action => action.path).join(', ');
+    const more = conflicts.length > 5 ? ` and ${conflicts.length - 5} more` : '';
+    throw new Error(`Refusing to overwrite ${conflicts.length} existing file(s): ${listed}${more}. Use --force to replace them.`);
+  }
+  
+  fs.mkdirSync(target, { recursive: true });
+  actions.forEach(action => {
+    if (action.type === 'directory') {
+      fs.mkdirSync(action.fullPath, { recursive: true });
+      return;
+    }
+    
+    // Unlink first so an existing symlink is replaced instead of written through
+    if (action.exists) {
+      fs.unlinkSync(action.fullPath);
+    }
+    if (action.type === 'symlink') {
+      fs.symlinkSync(action.target, action.fullPath);
+    } else {
+      fs.writeFileSync(action.fullPath, '');
+    }
+  });
+  
+  const directories = actions.filter(action => action.type === 'directory' && !action.exists).length;
+  const files = actions.length - actions.filter(action => action.type === 'directory').length;
+  logger.info(`Scaffolded ${formatCount(directories, 'directory', 'directories')} and ${formatCount(files, 'file', 'files')} in ${target}`);
+}
+
+// Generator for the library entry points. Options are validated like a config file, `root` is a
+// shorthand for `roots: [root]` and nothing is logged unless a logLevel or logger is given.
+function createLibraryGenerator({ root, ...options }, overrides = {}) {
+  const validated = validateOptions(options, 'generate()');
+  
+  const runOnly = Object.keys(validated).filter(key => RUN_ONLY_OPTIONS.includes(key) && key !== 'logLevel' && key !== 'logger');
+  if (runOnly.length > 0) {
+    throw new Error(`generate() returns the output instead of writing it and does not accept ${runOnly.join(', ')}`);
+  }
+  
+  return new AsciiTreeGenerator({
+    logLevel: 'silent',
+    ...validated,
+    ...(root !== undefined ? { roots: [root] } : {}),
+    ...overrides
+  });
+}
+
+// Render the tree of a root without writing files or logging, e.g. generate({ root: 'src', maxDepth: 2 })
+function generate(options = {}) {
+  return createLibraryGenerator(options).generateOutput();
+}
+
+// The node model generate() renders: the root node, or an array of root nodes for several roots
+function generateNodes(options = {}) {
+  return createLibraryGenerator(options).buildRootNodes();
+}
+
+// The --report data of a root as an object: totals, extensions, largestFiles, largestDirectories, depths and hidden
+function generateReport(options = {}) {
+  const generator = createLibraryGenerator(options, { report: true });
+  generator.resetStats('sync');
+  return generator.buildReport(generator.buildRootNodes());
+}
+
+// Promise-based generate() using the async walker. Loading the root (git config, the ignore files at
+// and above it) is still synchronous, the tree walk is not.
+function generateAsync(options = {}) {
+  return Promise.resolve().then(() => createLibraryGenerator({ walker: 'async', ...options }).generateOutputAsync());
+}
+
 function main() {
   try {
-    const options = parseArgs();
+    const args = process.argv.slice(2);
+    if (args[0] === 'diff') {
+      runDiff(args.slice(1));
+      return;
+    }
+    if (args[0] === 'scaffold') {
+      runScaffold(args.slice(1));
+      return;
+    }
+    if (args[0] === 'explain') {
+      runExplain(args.slice(1));
+      return;
+    }
+    
+    const options = resolveOptions(parseArgs(args));
+    if (options.since || options.until) {
+      throw new Error('--since and --until belong to the diff command: ascii-tree-generator diff --since <ref>');
+    }
+    if (options.target || options.force) {
+      throw new Error('--target and --force belong to the scaffold command: ascii-tree-generator scaffold TREE_FILE --target <dir>');
+    }
+    
     const generator = new AsciiTreeGenerator(options);
-    generator.run();
+    if (options.watch) {
+      generator.watch();
+      return;
+    }
+    
+    generator.runAsync().then(result => {
+      if (!result) process.exitCode = 1;
+    }, exitWithError);
   } catch (error) {
-    console.error('Error:', error.message);
-    process.exit(1);
+    exitWithError(error);
   }
 }
 
+function exitWithError(error) {
+  console.error('Error:', error.message);
+  process.exit(1);
+}
+
 if (require.main === module) {
   main();
 }
 
-module.exports = { AsciiTreeGenerator };
\ No newline at end of file
+module.exports = { AsciiTreeGenerator, generate, generateNodes, generateReport, generateAsync, createLogger };
\ No newline at end of file
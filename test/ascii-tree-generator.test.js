@@ -0,0 +1,131 @@
+// Regression tests for the generator. Run with: node test/ascii-tree-generator.test.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AsciiTreeGenerator, generate } = require('../package/ascii-tree-generator');
+
+let failures = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    failures++;
+    console.error(`✗ ${name}\n  ${error.stack}`);
+  }
+}
+
+// Create a temporary project from a list of files (relative paths) and directories (ending in "/")
+function createProject(entries) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ascii-tree-test-'));
+  entries.forEach(entry => {
+    const fullPath = path.join(root, entry);
+    if (entry.endsWith('/')) {
+      fs.mkdirSync(fullPath, { recursive: true });
+    } else {
+      fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+      fs.writeFileSync(fullPath, '');
+    }
+  });
+  return root;
+}
+
+// fs.rmSync only exists from Node 14.14
+function removeProject(root) {
+  (fs.rmSync || fs.rmdirSync)(root, { recursive: true });
+}
+
+test('generateTree() loads the ignore rules on a fresh instance', () => {
+  const root = createProject(['src/index.js', 'README.md']);
+  try {
+    const tree = new AsciiTreeGenerator({ logLevel: 'silent' }).generateTree(root);
+    assert.strictEqual(tree, [
+      '├── src',
+      '│   └── index.js',
+      '└── README.md'
+    ].join('\n') + '\n');
+  } finally {
+    removeProject(root);
+  }
+});
+
+test('--dirs-only --compact does not merge a directory that holds files', () => {
+  const root = createProject(['c1/d/x.txt', 'c1/d/sub/y.txt', 'c1/d/sub/z.txt']);
+  try {
+    const generator = new AsciiTreeGenerator({ logLevel: 'silent', dirsOnly: true, compact: true });
+    assert.strictEqual(generator.generateTree(root), [
+      '└── c1/d (3 files)',
+      '    └── sub (2 files)'
+    ].join('\n') + '\n');
+  } finally {
+    removeProject(root);
+  }
+});
+
+test('--sort natural ignores the case of names', () => {
+  const root = createProject(['file2', 'file10', 'File3', 'Migration_10.sql', 'migration_9.sql']);
+  try {
+    const generator = new AsciiTreeGenerator({ logLevel: 'silent', sort: 'natural' });
+    assert.strictEqual(generator.generateTree(root), [
+      '├── file2',
+      '├── File3',
+      '├── file10',
+      '├── migration_9.sql',
+      '└── Migration_10.sql'
+    ].join('\n') + '\n');
+  } finally {
+    removeProject(root);
+  }
+});
+
+test('generate() names the option of invalid integers and styles', () => {
+  assert.throws(() => generate({ maxDepth: 1.5 }), /^Error: generate\(\): "maxDepth" must be a non-negative whole number, got 1\.5$/);
+  assert.throws(() => generate({ indentWidth: 1 }), /^Error: generate\(\): "indentWidth" must be a whole number of at least 2/);
+  assert.throws(() => generate({ style: { branch: '+' } }), /^Error: generate\(\): "style" must be a custom style .*\(missing last, horizontal, vertical\)/);
+});
+
+test('every build reports the notes that match nothing', () => {
+  const root = createProject(['src/index.js']);
+  try {
+    fs.writeFileSync(path.join(root, '.treenotes'), 'src/index.js # Entry point\n');
+    const warnings = [];
+    const generator = new AsciiTreeGenerator({
+      roots: [root],
+      logLevel: 'warn',
+      logger: { warn: message => warnings.push(message) }
+    });
+    
+    generator.buildRootNode();
+    assert.deepStrictEqual(warnings, []);
+    
+    fs.unlinkSync(path.join(root, 'src/index.js'));
+    generator.buildRootNode();
+    assert.deepStrictEqual(warnings, ['Warning: .treenotes:1: "src/index.js" matches no file in the tree']);
+  } finally {
+    removeProject(root);
+  }
+});
+
+test('explain lists negations that cannot re-include an entry of an ignored directory', () => {
+  const root = createProject(['dir1/keep.txt']);
+  try {
+    fs.writeFileSync(path.join(root, '.gitignore'), 'dir1/\n!dir1/keep.txt\n');
+    const explanation = new AsciiTreeGenerator({ roots: [root], logLevel: 'silent' }).explainPath('dir1/keep.txt');
+    assert.strictEqual(explanation.shown, false);
+    
+    const level = explanation.levels[explanation.levels.length - 1];
+    assert.strictEqual(level.path, 'dir1/keep.txt');
+    assert.deepStrictEqual(level.checks[0].rules.map(rule => [rule.line, rule.pattern, rule.result]), [
+      [2, '!dir1/keep.txt', 'cannot re-include: parent directory excluded']
+    ]);
+  } finally {
+    removeProject(root);
+  }
+});
+
+if (failures > 0) {
+  console.error(`\n${failures} test(s) failed`);
+  process.exit(1);
+}
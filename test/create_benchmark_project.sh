@@ -0,0 +1,86 @@
+#!/bin/bash
+
+# Benchmark fixture: a monorepo with many packages, nested .gitignore files and large ignored
+# directories, to measure how fast the tree is filtered. Usage:
+#   bash test/create_benchmark_project.sh [packages]   (default: 40 packages)
+# It is created next to this script as benchmark-project, which .gitignore covers (test/*-project). Then:
+#   cd test/benchmark-project && ascii-tree-generator --stdout --stats-timing > /dev/null
+
+PACKAGES="${1:-40}"
+
+# One workspace package: sources, tests, build output and its own .gitignore
+generate_package() {
+    local package_dir="$1"
+
+    mkdir -p "$package_dir"/src/{components,hooks,services,utils,types}
+    mkdir -p "$package_dir"/src/components/{forms,layout,ui}
+    mkdir -p "$package_dir"/{tests,dist,coverage,.cache,logs}
+    mkdir -p "$package_dir"/tests/{unit,integration}
+    mkdir -p "$package_dir"/node_modules/{react,lodash,"@types"/node,.bin}
+
+    # Sources and tests
+    touch "$package_dir"/{package.json,README.md,tsconfig.json,.gitignore,.env.local}
+    touch "$package_dir"/src/{index.ts,config.ts}
+    touch "$package_dir"/src/components/{forms,layout,ui}/{Button,Input,Modal,Card,List,Table}.tsx
+    touch "$package_dir"/src/hooks/{useAuth,useFetch,useForm,useTheme}.ts
+    touch "$package_dir"/src/services/{api,auth,storage,analytics}.ts
+    touch "$package_dir"/src/utils/{format,validation,dates,strings}.ts
+    touch "$package_dir"/src/types/{index,api,models}.d.ts
+    touch "$package_dir"/tests/{unit,integration}/{app,api,auth,forms}.test.ts
+
+    # Ignored by the package .gitignore or the root one
+    touch "$package_dir"/dist/{index,chunk-1,chunk-2,chunk-3}.{js,js.map}
+    touch "$package_dir"/coverage/{lcov.info,coverage-final.json}
+    touch "$package_dir"/.cache/{a,b,c,d,e,f}.tmp
+    touch "$package_dir"/logs/{app,error,access}.log
+    touch "$package_dir"/node_modules/{react,lodash}/{package.json,index.js,LICENSE}
+    touch "$package_dir"/node_modules/"@types"/node/{index,fs,path}.d.ts
+
+    # Package .gitignore with negations and anchored patterns
+    cat > "$package_dir"/.gitignore << 'EOF'
+/dist/
+/coverage/
+.cache/
+*.log
+!logs/keep.log
+.env.local
+EOF
+    touch "$package_dir"/logs/keep.log
+}
+
+# Main execution
+project_name="$(dirname "$0")/benchmark-project"
+
+echo "🚀 Generating benchmark monorepo with $PACKAGES packages..."
+echo "----------------------------------------"
+
+mkdir -p "$project_name"/{packages,apps,tools,docs}
+touch "$project_name"/{README.md,lerna.json,.gitignore}
+echo '{ "name": "benchmark-monorepo", "private": true }' > "$project_name"/package.json
+touch "$project_name"/docs/{index,setup,architecture,contributing}.md
+
+cat > "$project_name"/.gitignore << 'EOF'
+node_modules/
+*.tmp
+.DS_Store
+build/
+**/generated/**
+!**/generated/README.md
+EOF
+
+for i in $(seq 1 "$PACKAGES"); do
+    generate_package "$project_name/packages/package-$i"
+done
+for app in web admin mobile docs-site; do
+    generate_package "$project_name/apps/$app"
+    mkdir -p "$project_name/apps/$app"/{build,src/generated}
+    touch "$project_name/apps/$app"/build/{index.html,main.js}
+    touch "$project_name/apps/$app"/src/generated/{schema,client,README}.{ts,md}
+done
+mkdir -p "$project_name"/tools/{lint,release}
+touch "$project_name"/tools/{lint,release}/{index.js,README.md}
+
+echo ""
+echo "🎉 Created $(find "$project_name" | wc -l) entries in '$project_name'"
+echo "Compare the filtering speed before and after a change with:"
+echo "  cd $project_name && ascii-tree-generator --stdout --stats-timing > /dev/null"